@@ -2,8 +2,10 @@ import "dotenv/config";
 import fs from "node:fs";
 import path from "node:path";
 import crypto from "node:crypto";
+import http from "node:http";
 import { fileURLToPath } from "node:url";
-import { EmbedBuilder } from "discord.js";
+import { Worker } from "node:worker_threads";
+import { EmbedBuilder, escapeMarkdown } from "discord.js";
 
 import {
   Client,
@@ -11,32 +13,129 @@ import {
   AttachmentBuilder,
   ChannelType,
   Events,
+  PermissionFlagsBits,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
 } from "discord.js";
 
 import sharp from "sharp";
 
+import {
+  OUTPUT_SIZE,
+  RENDER_DEFAULTS,
+  ASSETS,
+  WORLD_TO_MAP,
+  MAP_TO_PX,
+  encodeImage,
+  imageExtension,
+  normalizePalId,
+  playerIdOf,
+  worldToMap,
+  mapToPixel,
+  worldToPixel,
+  pixelToMap,
+  mapDistanceMeters,
+  makeLabelSvg,
+  loadPoiOnce,
+  selectPoi,
+  loadBaseMap,
+  sourceMapMeta,
+  renderSnapshot,
+  renderCalibrationDebug,
+} from "./render.js";
+import {
+  parseCalibrationPoints,
+  toSamples,
+  fitMapToPx,
+  residualsOf,
+} from "./calibration.js";
+import {
+  LOCALES,
+  DEFAULT_LOCALE,
+  INTL_LOCALES,
+  LANGUAGE_NAMES,
+  t,
+  resolveLocale,
+  formatDateTime,
+} from "./i18n.js";
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // ====== ENV ======
 const DISCORD_TOKEN = process.env.DISCORD_TOKEN;
 
+// Source des données: "paldefender" (API REST officielle + guildes PalDefender),
+// "official" (API REST seule, sans guildes ni bases) ou "fixture" (JSON local)
+const DATA_SOURCE = process.env.DATA_SOURCE ?? "paldefender";
+
+// Exemple: PALWORLD_API_URL=http://127.0.0.1:8212 (PLAYERS_URL reste prioritaire)
+const PALWORLD_API_URL = process.env.PALWORLD_API_URL;
 const PLAYERS_URL = process.env.PLAYERS_URL;
 const GUILDS_URL = process.env.GUILDS_URL;
 
 const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD; // Basic auth (players)
 const PALDEFENDER_TOKEN = process.env.PALDEFENDER_TOKEN; // Bearer (guilds)
 
+// Fixture: un fichier { players, guilds } ou un dossier de frames rejouées en boucle
+const FIXTURE_PATH = process.env.FIXTURE_PATH ?? "../fixtures/sample.json";
+// Optionnel: enregistre chaque fetch réussi dans ce dossier (rejouable en fixture)
+const RECORD_DIR = process.env.RECORD_DIR;
+
 const INTERVAL_MINUTES = Number(process.env.INTERVAL_MINUTES ?? 10);
+// Serveur Palworld vide: cadence par défaut = intervalle du profil x ce facteur
+// (surchargeable par serveur Discord avec /palmap schedule)
+const SCHEDULE_IDLE_FACTOR = Number(process.env.SCHEDULE_IDLE_FACTOR ?? 3);
+// Fuseau des heures creuses (IANA, ex. Europe/Paris) par défaut, surchargeable
+// avec /palmap schedule timezone. Sans: fuseau de la machine du bot.
+const HOST_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const SCHEDULE_TIMEZONE = process.env.SCHEDULE_TIMEZONE ?? HOST_TIMEZONE;
+
+// Appels aux APIs: délai max par requête, puis nouvelles tentatives espacées
+// de FETCH_BACKOFF_MS, x2, x4… (erreurs réseau, timeouts, HTTP 5xx/429)
+const FETCH_TIMEOUT_MS = Number(process.env.FETCH_TIMEOUT_MS ?? 10000);
+const FETCH_RETRIES = Number(process.env.FETCH_RETRIES ?? 2);
+const FETCH_BACKOFF_MS = 1000;
+
+// Historique des positions conservé (heures) — borne aussi la longueur des trails
+const HISTORY_HOURS = Number(process.env.HISTORY_HOURS ?? 24);
+
+// Optionnel: mini serveur web (carte zoomable). Pas de port = désactivé.
+// Sans authentification: n'écoute qu'en local par défaut. L'exposer est un
+// choix explicite: reverse proxy (+ WEB_PUBLIC_URL) ou WEB_HOST=0.0.0.0.
+const WEB_PORT = process.env.WEB_PORT ? Number(process.env.WEB_PORT) : null;
+const WEB_HOST = process.env.WEB_HOST ?? "127.0.0.1";
+// URL publique (reverse proxy) utilisée comme lien dans l'embed
+const WEB_PUBLIC_URL = process.env.WEB_PUBLIC_URL ?? null;
+
+// ====== RENDER OPTIONS (par serveur Discord, state.guilds[id].render) ======
+// Défauts dans render.js (RENDER_DEFAULTS). locale: langue de la live-map, du
+// journal d'activité et des alertes de ce serveur Discord (et titre de légende par défaut)
+function getRenderOptions(cfg) {
+  const locale = cfg?.render?.locale ?? DEFAULT_LOCALE;
+  return {
+    ...RENDER_DEFAULTS,
+    legendTitle: t(locale, "render.legendTitle"),
+    ...(cfg?.render ?? {}),
+    locale,
+  };
+}
 
-// Optionnel: pour matcher exactement l'image "PalworldSaveTools" que tu as jointe
-// Exemple: MAP_IMAGE=../assets/updated_worldmap.png
-const MAP_IMAGE = process.env.MAP_IMAGE;
-const OUTPUT_SIZE = 4096;
+const guildLocale = (cfg) => getRenderOptions(cfg).locale;
 
-const LEGEND_SCALE = 2.5; // x2
+// Réponses aux commandes: langue du client Discord de l'utilisateur si elle est
+// traduite, sinon celle du serveur
+function userLocale(interaction, cfg) {
+  return resolveLocale(interaction.locale) ?? guildLocale(cfg);
+}
 
 // ====== GUILD COLORS ======
+// Par serveur Palworld (partagées par tous les serveurs Discord qui le suivent):
+// server.guildColors = couleurs attribuées automatiquement depuis la palette,
+// server.customColors = couleurs choisies avec /palmap color (prioritaires),
+// server.palette = clé de GUILD_PALETTES
 const GUILD_COLORS = [
   "#ff0000", // rouge
   "#3498DB", // bleu
@@ -53,161 +152,913 @@ const GUILD_COLORS = [
   "#004953", // stratof
 ];
 
-function normalizePalId(id) {
-  // guild members: "21FCEE28-00000000-..." vs players: "21FCEE2800000000..."
-  return String(id ?? "")
-    .replaceAll("-", "")
-    .toLowerCase();
+const GUILD_PALETTES = {
+  classic: GUILD_COLORS,
+  // Okabe & Ito: distinguables avec les daltonismes courants (sans le noir,
+  // illisible sur la carte)
+  colorblind: [
+    "#E69F00", // orange
+    "#56B4E9", // bleu ciel
+    "#009E73", // vert bleuté
+    "#F0E442", // jaune
+    "#0072B2", // bleu
+    "#D55E00", // vermillon
+    "#CC79A7", // pourpre
+  ],
+};
+const DEFAULT_PALETTE = "classic";
+
+// "#abc" / "AABBCC" -> "#AABBCC", null si invalide
+function normalizeHex(input) {
+  const m = String(input ?? "").trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!m) return null;
+  const hex = m[1].length === 3 ? [...m[1]].map((c) => c + c).join("") : m[1];
+  return `#${hex.toUpperCase()}`;
 }
 
-function pickColorForGuild(palGuildId, state) {
-  state.palworld ??= {};
-  state.palworld.guildColors ??= {};
+// distance "redmean": approximation peu coûteuse de l'écart perçu
+function colorDistance(a, b) {
+  const [r1, g1, b1] = [1, 3, 5].map((i) => parseInt(a.slice(i, i + 2), 16));
+  const [r2, g2, b2] = [1, 3, 5].map((i) => parseInt(b.slice(i, i + 2), 16));
+  const rm = (r1 + r2) / 2;
+  return Math.sqrt(
+    (2 + rm / 256) * (r1 - r2) ** 2 +
+      4 * (g1 - g2) ** 2 +
+      (2 + (255 - rm) / 256) * (b1 - b2) ** 2,
+  );
+}
 
-  if (!state.palworld.guildColors[palGuildId]) {
-    const used = new Set(Object.values(state.palworld.guildColors));
-    const available = GUILD_COLORS.filter((c) => !used.has(c));
-    const color = available.length
-      ? available[0]
-      : GUILD_COLORS[Math.floor(Math.random() * GUILD_COLORS.length)];
+function hslToHex(h, s, l) {
+  const f = (n) => {
+    const k = (n + h / 30) % 12;
+    const v = l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(v * 255)
+      .toString(16)
+      .padStart(2, "0");
+  };
+  return `#${f(0)}${f(8)}${f(4)}`.toUpperCase();
+}
 
-    state.palworld.guildColors[palGuildId] = color;
-    saveState(state);
+// Palette épuisée: la teinte (angle d'or) la plus éloignée des couleurs déjà
+// prises — y compris le blanc des joueurs sans guilde
+const GENERATED_SHADES = [
+  [0.8, 0.5],
+  [0.65, 0.38],
+  [0.7, 0.65],
+];
+
+function generateDistinctColor(used) {
+  const taken = [...used, "#FFFFFF"];
+  let best = null;
+  for (let i = 0; i < 120; i++) {
+    const hue = (i * 137.508) % 360;
+    for (const [s, l] of GENERATED_SHADES) {
+      const color = hslToHex(hue, s, l);
+      const score = Math.min(...taken.map((c) => colorDistance(c, color)));
+      if (!best || score > best.score) best = { color, score };
+    }
   }
+  return best.color;
+}
 
-  return state.palworld.guildColors[palGuildId];
+function guildColorOf(server, palGuildId) {
+  return server.customColors?.[palGuildId] ?? server.guildColors?.[palGuildId] ?? null;
 }
 
-// ====== COORDS / CALIBRATION ======
-const WORLD_TO_MAP = {
-  transl_x: 123888,
-  transl_y: 158000,
-  scale: 459,
-};
+// Couleurs de toutes les guildes connues du serveur (sauf exceptId)
+function usedGuildColors(server, exceptId = null) {
+  const ids = new Set([
+    ...Object.keys(server.guildColors ?? {}),
+    ...Object.keys(server.customColors ?? {}),
+  ]);
+  ids.delete(exceptId);
+  return new Set([...ids].map((gid) => normalizeHex(guildColorOf(server, gid))));
+}
 
-const MAP_TO_PX = {
-  A: 2.5953628006591515,
-  B: 5073.702848050116,
-  C: -2.596070066847979,
-  D: 3233.9698454713814,
-};
+// Prochaine couleur libre de la palette, sinon une couleur générée
+function nextGuildColor(server, exceptId = null) {
+  const used = usedGuildColors(server, exceptId);
+  const palette = GUILD_PALETTES[server.palette] ?? GUILD_PALETTES[DEFAULT_PALETTE];
+  return (
+    palette.find((c) => !used.has(normalizeHex(c))) ?? generateDistinctColor(used)
+  );
+}
 
-function worldToMap(worldX, worldY) {
-  const newX = worldX + WORLD_TO_MAP.transl_x;
-  const newY = worldY - WORLD_TO_MAP.transl_y;
+function pickColorForGuild(palGuildId, state, serverId) {
+  const server = getServerState(state, serverId);
+  const current = guildColorOf(server, palGuildId);
+  if (current) return current;
 
-  return {
-    mapX: newY / WORLD_TO_MAP.scale,
-    mapY: newX / WORLD_TO_MAP.scale,
-  };
+  server.guildColors ??= {};
+  server.guildColors[palGuildId] = nextGuildColor(server, palGuildId);
+  saveState(state);
+  return server.guildColors[palGuildId];
 }
 
-function mapToPixel(mapX, mapY) {
-  const px = MAP_TO_PX.A * mapX + MAP_TO_PX.B;
-  const py = MAP_TO_PX.C * mapY + MAP_TO_PX.D;
-  return { px, py };
+// Deux guildes actives ne partagent jamais une couleur (doublons des anciennes
+// versions, ou couleur prise entre-temps par /palmap color): la couleur choisie
+// à la main est gardée, l'autre guilde est recolorée. -> ids recolorés
+function ensureDistinctGuildColors(state, serverId, activeIds) {
+  const server = getServerState(state, serverId);
+  const isCustom = (gid) => !!server.customColors?.[gid];
+  const ordered = [...activeIds].sort((a, b) => isCustom(b) - isCustom(a));
+
+  const seen = new Set();
+  const recolored = [];
+  for (const gid of ordered) {
+    const color = guildColorOf(server, gid);
+    if (!color) continue;
+
+    if (seen.has(normalizeHex(color)) && !isCustom(gid)) {
+      server.guildColors[gid] = nextGuildColor(server, gid);
+      recolored.push(gid);
+    }
+    seen.add(normalizeHex(guildColorOf(server, gid)));
+  }
+
+  if (recolored.length) saveState(state);
+  return recolored;
 }
 
-function worldToPixel(worldX, worldY) {
-  const { mapX, mapY } = worldToMap(worldX, worldY);
-  return mapToPixel(mapX, mapY);
+// palGuildId -> couleur pour tout ce qui sera dessiné (bases, joueurs);
+// les guildes sans couleur en reçoivent une (persistée)
+function guildColorsFor(state, serverId, { camps = [], playerToGuild = {} }) {
+  const ids = new Set([
+    ...camps.map((c) => c.guild_id ?? "unknown"),
+    ...Object.values(playerToGuild ?? {}),
+  ]);
+  return Object.fromEntries(
+    [...ids].map((gid) => [gid, pickColorForGuild(gid, state, serverId)]),
+  );
 }
 
-// ====== ASSETS ======
-const ASSETS = {
-  map: MAP_IMAGE
-    ? path.resolve(__dirname, MAP_IMAGE)
-    : path.resolve(__dirname, "../assets/T_WorldMap.png"),
+function formatDistance(meters) {
+  return meters >= 1000
+    ? `${(meters / 1000).toFixed(1)} km`
+    : `${Math.round(meters)} m`;
+}
 
-  camp: path.resolve(__dirname, "../assets/T_icon_compass_camp.png"),
-  player: path.resolve(__dirname, "../assets/T_icon_compass_00.png"),
-};
+// ====== STATE ======
+// Un seul objet en mémoire, partagé: loadState() ne relit pas le disque.
+// saveState() marque l'état modifié; l'écriture (tmp + rename, atomique)
+// est regroupée STATE_FLUSH_MS plus tard et forcée à l'arrêt du process.
+const STATE_DIR = path.resolve(__dirname, "../state");
+const STATE_FILE = path.join(STATE_DIR, "palmap-state.json");
+const STATE_VERSION = 1;
+const STATE_FLUSH_MS = 2000;
+// écriture ratée (disque plein, droits…): l'état reste en mémoire, nouvel essai
+const STATE_FLUSH_RETRY_MS = 30 * 1000;
+// Sauvegardes tournantes palmap-state.json.1 (plus récente) … .N, au plus une
+// toutes les STATE_BACKUP_MINUTES: à chaque flush, elles ne couvriraient que
+// les dernières secondes
+const STATE_BACKUPS = Number(process.env.STATE_BACKUPS ?? 5);
+const STATE_BACKUP_MS = Number(process.env.STATE_BACKUP_MINUTES ?? 30) * 60 * 1000;
+
+let stateCache = null;
+let stateFlushTimer = null;
+let lastBackupAt = 0; // 0: sauvegarde au premier flush (état d'avant le lancement)
+
+function ensureStateDir() {
+  if (!fs.existsSync(STATE_DIR)) fs.mkdirSync(STATE_DIR, { recursive: true });
+}
 
-let iconCache = null;
+const backupFile = (n) => `${STATE_FILE}.${n}`;
 
-const tintedCache = {
-  camp: new Map(), // key: color -> buffer
-  player: new Map(), // key: color -> buffer
-};
+// Fichier principal, sinon la sauvegarde valide la plus récente.
+// Un fichier illisible est mis de côté (.corrupt-<ts>) au lieu d'être écrasé.
+function readStateFromDisk() {
+  const candidates = [STATE_FILE];
+  for (let n = 1; n <= STATE_BACKUPS; n++) candidates.push(backupFile(n));
 
-async function getTintedIcon(basePath, size, colorHex) {
-  const key = colorHex.toLowerCase();
+  for (const file of candidates) {
+    let raw;
+    try {
+      raw = fs.readFileSync(file, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") continue;
+      throw err;
+    }
 
-  const cache =
-    basePath === ASSETS.camp
-      ? tintedCache.camp
-      : basePath === ASSETS.player
-        ? tintedCache.player
-        : null;
+    try {
+      const state = JSON.parse(raw);
+      if (file !== STATE_FILE) console.warn(`State restauré depuis ${path.basename(file)}`);
+      return state;
+    } catch (err) {
+      const aside = `${file}.corrupt-${Date.now()}`;
+      fs.renameSync(file, aside);
+      console.error(
+        `State illisible (${path.basename(file)}), mis de côté: ${path.basename(aside)}`,
+        err.message,
+      );
+    }
+  }
 
-  if (cache && cache.has(key)) return cache.get(key);
+  return null;
+}
 
-  const buf = await sharp(basePath)
-    .resize(size, size, { fit: "fill", kernel: sharp.kernel.nearest })
-    .tint(colorHex)
-    .png()
-    .toBuffer();
+function loadState() {
+  if (stateCache) return stateCache;
 
-  if (cache) cache.set(key, buf);
-  return buf;
+  const state = readStateFromDisk() ?? { version: STATE_VERSION, guilds: {} };
+  stateCache = migrateState(state);
+  historyStore.importFrom?.(stateCache);
+  return stateCache;
 }
 
-async function loadIconsOnce() {
-  if (iconCache) return iconCache;
+const LEGACY_MAP_KEYS = [
+  "channelId",
+  "messageId",
+  "lastHash",
+  "lastUpdatedAt",
+  "eventsChannelId",
+];
+
+// STATE_MIGRATIONS[v] fait passer un état de la version v à v + 1
+// (les fichiers d'avant le versionnage sont en version 0)
+const STATE_MIGRATIONS = [
+  // 0 -> 1: ancien format (un seul serveur Palworld): state.palworld +
+  // channelId/messageId à la racine de chaque serveur Discord
+  // -> rattachés au profil par défaut
+  (state) => {
+    state.guilds ??= {};
+    state.servers ??= {};
+
+    if (state.palworld) {
+      state.servers[LEGACY_SERVER_ID] ??= state.palworld;
+      delete state.palworld;
+    }
+
+    for (const cfg of Object.values(state.guilds)) {
+      if (!cfg || !LEGACY_MAP_KEYS.some((k) => k in cfg)) continue;
+
+      cfg.maps ??= {};
+      if (cfg.channelId || cfg.eventsChannelId) {
+        cfg.maps[LEGACY_SERVER_ID] ??= Object.fromEntries(
+          LEGACY_MAP_KEYS.map((k) => [k, cfg[k] ?? null]),
+        );
+      }
+      for (const k of LEGACY_MAP_KEYS) delete cfg[k];
+    }
+  },
+];
+
+function migrateState(state) {
+  const from = state.version ?? 0;
+  if (from > STATE_VERSION) {
+    throw new Error(
+      `State en version ${from}, ce bot ne connaît que la version ${STATE_VERSION}: mets le bot à jour`,
+    );
+  }
 
-  const CAMP_SIZE = 128;
-  const PLAYER_SIZE = 86;
+  for (let v = from; v < STATE_VERSION; v++) {
+    STATE_MIGRATIONS[v](state);
+    state.version = v + 1;
+    console.log(`State migré en version ${state.version}`);
+  }
+  if (from < STATE_VERSION) saveState(state);
 
-  iconCache = { CAMP_SIZE, PLAYER_SIZE };
-  return iconCache;
+  state.guilds ??= {};
+  state.servers ??= {};
+  return state;
 }
 
-// ====== STATE ======
-const STATE_DIR = path.resolve(__dirname, "../state");
-const STATE_FILE = path.join(STATE_DIR, "palmap-state.json");
+// Données propres à un serveur Palworld (couleurs, historique, présence)
+function getServerState(state, serverId) {
+  state.servers ??= {};
+  return (state.servers[serverId] ??= {});
+}
 
-function ensureStateDir() {
-  if (!fs.existsSync(STATE_DIR)) fs.mkdirSync(STATE_DIR, { recursive: true });
+function saveState(state) {
+  stateCache = state;
+  if (stateFlushTimer) return;
+  stateFlushTimer = setTimeout(flushState, STATE_FLUSH_MS);
+  stateFlushTimer.unref();
 }
 
-function loadState() {
+function flushState() {
+  clearTimeout(stateFlushTimer);
+  stateFlushTimer = null;
+  if (!stateCache) return;
+
   try {
-    return JSON.parse(fs.readFileSync(STATE_FILE, "utf8"));
-  } catch {
-    return { guilds: {} };
+    ensureStateDir();
+    const tmp = `${STATE_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(stateCache, null, 2), "utf8");
+
+    // rotation: .N-1 -> .N, …, fichier courant -> .1
+    const now = Date.now();
+    if (
+      STATE_BACKUPS > 0 &&
+      now - lastBackupAt >= STATE_BACKUP_MS &&
+      fs.existsSync(STATE_FILE)
+    ) {
+      for (let n = STATE_BACKUPS - 1; n >= 1; n--) {
+        if (fs.existsSync(backupFile(n))) fs.renameSync(backupFile(n), backupFile(n + 1));
+      }
+      fs.copyFileSync(STATE_FILE, backupFile(1));
+      lastBackupAt = now;
+    }
+
+    fs.renameSync(tmp, STATE_FILE);
+  } catch (err) {
+    console.error(
+      `Écriture du state impossible, nouvel essai dans ${STATE_FLUSH_RETRY_MS / 1000} s:`,
+      err.message,
+    );
+    stateFlushTimer = setTimeout(flushState, STATE_FLUSH_RETRY_MS);
+    stateFlushTimer.unref();
   }
 }
 
-function saveState(state) {
+// écriture en attente (ou à réessayer) -> disque avant de quitter
+process.on("exit", () => {
+  if (stateFlushTimer) flushState();
+});
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, () => process.exit(0));
+}
+
+// ====== HISTORY STORE ======
+// STATE_BACKEND=sqlite: l'historique des positions (gros, écrit à chaque tick)
+// va dans state/palmap-history.db via node:sqlite (Node 22.5+) au lieu du JSON.
+// Le reste de l'état reste dans palmap-state.json.
+const STATE_BACKEND = process.env.STATE_BACKEND ?? "json";
+const HISTORY_DB_FILE = path.join(STATE_DIR, "palmap-history.db");
+
+const jsonHistoryStore = {
+  read(state, serverId, cutoff) {
+    return (state.servers?.[serverId]?.history ?? []).filter((h) => h.t >= cutoff);
+  },
+
+  lastCamps(state, serverId) {
+    return lastHistoryCamps(state.servers?.[serverId]?.history ?? []);
+  },
+
+  append(state, serverId, entry, cutoff) {
+    const server = getServerState(state, serverId);
+    const history = server.history ?? [];
+
+    const kept = history.filter((h) => h.t >= cutoff);
+    // ne pas perdre les bases en vigueur avec les entrées purgées
+    if (kept.length && !kept[0].camps) {
+      const dropped = lastHistoryCamps(history.slice(0, history.length - kept.length));
+      if (dropped) kept[0] = { ...kept[0], camps: dropped };
+    }
+    server.history = kept.concat(entry);
+  },
+};
+
+function createSqliteHistoryStore(DatabaseSync) {
   ensureStateDir();
-  fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2), "utf8");
+  const db = new DatabaseSync(HISTORY_DB_FILE);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS history (
+      server_id TEXT NOT NULL,
+      t INTEGER NOT NULL,
+      players TEXT NOT NULL,
+      camps TEXT
+    );
+    CREATE INDEX IF NOT EXISTS history_server_t ON history (server_id, t);
+  `);
+
+  const insert = db.prepare(
+    "INSERT INTO history (server_id, t, players, camps) VALUES (?, ?, ?, ?)",
+  );
+  const select = db.prepare(
+    "SELECT t, players, camps FROM history WHERE server_id = ? AND t >= ? ORDER BY t",
+  );
+  const selectLastCamps = db.prepare(
+    "SELECT camps FROM history WHERE server_id = ? AND t < ? AND camps IS NOT NULL ORDER BY t DESC LIMIT 1",
+  );
+  const selectFirst = db.prepare(
+    "SELECT rowid, camps FROM history WHERE server_id = ? AND t >= ? ORDER BY t LIMIT 1",
+  );
+  const setCamps = db.prepare("UPDATE history SET camps = ? WHERE rowid = ?");
+  const prune = db.prepare("DELETE FROM history WHERE server_id = ? AND t < ?");
+  const selectLastT = db.prepare("SELECT MAX(t) AS t FROM history WHERE server_id = ?");
+
+  const toEntry = (row) => ({
+    t: row.t,
+    players: JSON.parse(row.players),
+    ...(row.camps ? { camps: JSON.parse(row.camps) } : {}),
+  });
+
+  const transaction = (fn) => {
+    db.exec("BEGIN");
+    try {
+      fn();
+      db.exec("COMMIT");
+    } catch (err) {
+      db.exec("ROLLBACK");
+      throw err;
+    }
+  };
+
+  const insertEntry = (serverId, h) =>
+    insert.run(
+      serverId,
+      h.t,
+      JSON.stringify(h.players),
+      h.camps ? JSON.stringify(h.camps) : null,
+    );
+
+  return {
+    read(_state, serverId, cutoff) {
+      return select.all(serverId, cutoff).map(toEntry);
+    },
+
+    lastCamps(_state, serverId) {
+      const row = selectLastCamps.get(serverId, Number.MAX_SAFE_INTEGER);
+      return row ? JSON.parse(row.camps) : null;
+    },
+
+    append(_state, serverId, entry, cutoff) {
+      transaction(() => {
+        // ne pas perdre les bases en vigueur avec les entrées purgées
+        const first = selectFirst.get(serverId, cutoff);
+        const dropped = selectLastCamps.get(serverId, cutoff);
+        if (first && !first.camps && dropped) setCamps.run(dropped.camps, first.rowid);
+        prune.run(serverId, cutoff);
+
+        insertEntry(serverId, entry);
+      });
+    },
+
+    // historique du JSON -> base, une seule fois (passage de json à sqlite).
+    // Rejouable: si le bot s'arrête avant l'écriture du JSON vidé, les
+    // entrées déjà en base (pas plus récentes que la dernière) sont ignorées
+    importFrom(state) {
+      let imported = false;
+      for (const [serverId, server] of Object.entries(state.servers ?? {})) {
+        if (!server.history?.length) continue;
+
+        const lastT = selectLastT.get(serverId)?.t ?? -Infinity;
+        const fresh = server.history.filter((h) => h.t > lastT);
+        transaction(() => {
+          for (const h of fresh) insertEntry(serverId, h);
+        });
+        console.log(
+          `Historique ${serverId}: ${fresh.length}/${server.history.length} entrées importées dans SQLite`,
+        );
+        delete server.history;
+        imported = true;
+      }
+
+      if (imported) {
+        saveState(state);
+        flushState(); // JSON vidé tout de suite, pas 2 s plus tard
+      }
+    },
+  };
+}
+
+async function createHistoryStore() {
+  if (STATE_BACKEND !== "sqlite") return jsonHistoryStore;
+
+  try {
+    const { DatabaseSync } = await import("node:sqlite");
+    return createSqliteHistoryStore(DatabaseSync);
+  } catch (err) {
+    console.warn(
+      `STATE_BACKEND=sqlite indisponible (${err.code ?? err.message}), historique gardé en JSON (node:sqlite demande Node 22.5+)`,
+    );
+    return jsonHistoryStore;
+  }
+}
+
+const historyStore = await createHistoryStore();
+
+// ====== POSITION HISTORY ======
+// Une entrée par tick: { t, players: [{ id, x, y }], camps? } (coords monde)
+// camps: [{ guild_id, guild, map_x, map_y }], seulement quand elles changent
+const compactCamps = (camps) =>
+  (camps ?? [])
+    .filter((c) => typeof c.map_x === "number" && typeof c.map_y === "number")
+    .map((c) => ({ guild_id: c.guild_id, guild: c.guild, map_x: c.map_x, map_y: c.map_y }));
+
+function lastHistoryCamps(history) {
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].camps) return history[i].camps;
+  }
+  return null;
+}
+
+function recordHistory(serverId, players, camps = null) {
+  const state = loadState();
+
+  const now = Date.now();
+  const entry = {
+    t: now,
+    players: players
+      .map((p) => ({
+        id: playerIdOf(p),
+        x: Number(p.location_x ?? 0),
+        y: Number(p.location_y ?? 0),
+      }))
+      .filter((p) => p.id && (p.x || p.y)),
+  };
+
+  if (camps) {
+    const current = compactCamps(camps);
+    const previous = historyStore.lastCamps(state, serverId);
+    if (!previous || JSON.stringify(previous) !== JSON.stringify(current)) {
+      entry.camps = current;
+    }
+  }
+
+  const cutoff = now - HISTORY_HOURS * 60 * 60 * 1000;
+  historyStore.append(state, serverId, entry, cutoff);
+
+  saveState(state);
+}
+
+function getHistory(state, serverId, hours) {
+  const cutoff = Date.now() - hours * 60 * 60 * 1000;
+  return historyStore.read(state, serverId, cutoff);
+}
+
+// Les options "hours" vont au-delà de HISTORY_HOURS (fixé au lancement du
+// bot): on prévient plutôt que de tronquer en silence
+function hoursClampedNote(asked, locale) {
+  return asked > HISTORY_HOURS
+    ? t(locale, "common.hoursClamped", { asked, max: HISTORY_HOURS })
+    : null;
+}
+
+// pid -> liste de segments [{ t, x, y }, ...] ; un trou dans l'historique
+// (joueur absent d'un tick) coupe le trail au lieu de relier deux sessions
+function buildTrails(history) {
+  const trails = {};
+  const current = {};
+
+  history.forEach((h, i) => {
+    const seen = new Set();
+    for (const p of h.players) {
+      seen.add(p.id);
+      if (!current[p.id]) {
+        current[p.id] = [];
+        (trails[p.id] ??= []).push(current[p.id]);
+      }
+      current[p.id].push({ t: h.t, x: p.x, y: p.y });
+    }
+    for (const pid of Object.keys(current)) {
+      if (!seen.has(pid)) delete current[pid];
+    }
+  });
+
+  return trails;
+}
+
+// ====== PLAYTIME STATS ======
+// server.stats.players[pid] = { name, firstSeen, lastSeen, totalMs, distanceM,
+//   sessions, days: { "YYYY-MM-DD": { ms, m } }, session: { start, lastT, x, y } | null }
+const STATS_RETENTION_DAYS = 35;
+const STATS_PERIODS = {
+  week: { days: 7 },
+  month: { days: 30 },
+  all: { days: null },
+};
+// Au-delà, le déplacement entre deux ticks est un voyage rapide / respawn
+const STATS_MAX_SPEED_MS = 30;
+
+const dayKey = (t) => new Date(t).toISOString().slice(0, 10);
+
+function recordStats(serverId, players, intervalMinutes) {
+  const state = loadState();
+  const server = getServerState(state, serverId);
+  const stats = (server.stats ??= { players: {} });
+
+  const now = Date.now();
+  // Un tick manqué (bot/serveur down) ferme la session au lieu de compter le trou
+  const maxGapMs = intervalMinutes * 2.5 * 60 * 1000;
+  const seen = new Set();
+
+  for (const p of players) {
+    const pid = playerIdOf(p);
+    if (!pid) continue;
+    seen.add(pid);
+
+    const s = (stats.players[pid] ??= {
+      name: null,
+      firstSeen: now,
+      lastSeen: now,
+      totalMs: 0,
+      distanceM: 0,
+      sessions: 0,
+      days: {},
+      session: null,
+    });
+    s.name = p.name ?? p.nickname ?? s.name;
+
+    const wx = Number(p.location_x ?? 0);
+    const wy = Number(p.location_y ?? 0);
+    const hasPos = !!(wx || wy);
+    const prev = s.session;
+
+    if (!prev || now - prev.lastT > maxGapMs) {
+      s.sessions += 1;
+      s.session = { start: now, lastT: now, x: hasPos ? wx : null, y: hasPos ? wy : null };
+      s.lastSeen = now;
+      continue;
+    }
+
+    const dt = now - prev.lastT;
+    let meters = 0;
+    if (hasPos && prev.x !== null) {
+      meters = mapDistanceMeters(worldToMap(prev.x, prev.y), worldToMap(wx, wy));
+      if (meters > (dt / 1000) * STATS_MAX_SPEED_MS) meters = 0;
+    }
+
+    const day = (s.days[dayKey(now)] ??= { ms: 0, m: 0 });
+    day.ms += dt;
+    day.m += meters;
+    s.totalMs += dt;
+    s.distanceM += meters;
+    s.lastSeen = now;
+    s.session = {
+      start: prev.start,
+      lastT: now,
+      x: hasPos ? wx : prev.x,
+      y: hasPos ? wy : prev.y,
+    };
+  }
+
+  const oldest = dayKey(now - STATS_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  for (const [pid, s] of Object.entries(stats.players)) {
+    if (!seen.has(pid)) s.session = null;
+    for (const d of Object.keys(s.days)) {
+      if (d < oldest) delete s.days[d];
+    }
+  }
+
+  saveState(state);
+}
+
+// -> [{ pid, name, ms, m, ... }] sur la période (days null = totaux),
+// sans les joueurs masqués (/palprivacy hide): les classements sont publics
+function statsForPeriod(state, serverId, days) {
+  const players = state.servers?.[serverId]?.stats?.players ?? {};
+  const hidden = privacyOf(state, serverId).hiddenPlayers ?? {};
+  const from = days ? dayKey(Date.now() - (days - 1) * 24 * 60 * 60 * 1000) : null;
+
+  return Object.entries(players)
+    .filter(([pid]) => !hidden[pid])
+    .map(([pid, s]) => {
+      let ms = s.totalMs;
+      let m = s.distanceM;
+      if (from) {
+        ms = 0;
+        m = 0;
+        for (const [d, v] of Object.entries(s.days)) {
+          if (d < from) continue;
+          ms += v.ms;
+          m += v.m;
+        }
+      }
+      return { ...s, pid, ms, m };
+    });
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  const h = Math.floor(minutes / 60);
+  const min = minutes % 60;
+  return h ? `${h} h ${String(min).padStart(2, "0")}` : `${min} min`;
 }
 
 // ====== AUTH FETCHERS ======
-async function fetchPlayers() {
-  if (!ADMIN_PASSWORD) throw new Error("Missing env ADMIN_PASSWORD");
-  if (!PLAYERS_URL) throw new Error("Missing env PLAYERS_URL");
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// GET JSON avec timeout + retries (backoff exponentiel). Les 4xx (hors 408/429)
+// sont des erreurs de config/auth: pas de nouvelle tentative.
+async function fetchJson(url, { headers, label }) {
+  let lastErr;
+
+  for (let attempt = 0; attempt <= FETCH_RETRIES; attempt++) {
+    if (attempt > 0) await sleep(FETCH_BACKOFF_MS * 2 ** (attempt - 1));
+
+    let res;
+    try {
+      res = await fetch(url, {
+        headers,
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+      });
+    } catch (err) {
+      lastErr =
+        err.name === "TimeoutError"
+          ? new Error(`${label} timeout (${FETCH_TIMEOUT_MS / 1000}s)`)
+          : new Error(`${label} unreachable: ${err.cause?.code ?? err.message}`);
+      continue;
+    }
+
+    if (res.ok) return res.json();
+
+    lastErr = new Error(`${label} HTTP ${res.status}`);
+    if (res.status < 500 && res.status !== 408 && res.status !== 429) break;
+  }
+
+  throw lastErr;
+}
+
+async function fetchPlayers({ playersUrl, adminPassword }) {
+  if (!adminPassword) throw new Error("Missing env ADMIN_PASSWORD");
+  if (!playersUrl) throw new Error("Missing env PLAYERS_URL (or PALWORLD_API_URL)");
 
-  const auth = Buffer.from(`admin:${ADMIN_PASSWORD}`).toString("base64");
+  const auth = Buffer.from(`admin:${adminPassword}`).toString("base64");
 
-  const res = await fetch(PLAYERS_URL, {
+  return fetchJson(playersUrl, {
     headers: { Authorization: `Basic ${auth}` },
+    label: "Players API",
   });
-
-  if (!res.ok) throw new Error(`Players API HTTP ${res.status}`);
-  return res.json();
 }
 
-async function fetchGuilds() {
-  if (!PALDEFENDER_TOKEN) throw new Error("Missing env PALDEFENDER_TOKEN");
-  if (!GUILDS_URL) throw new Error("Missing env GUILDS_URL");
+async function fetchGuilds({ guildsUrl, paldefenderToken }) {
+  if (!paldefenderToken) throw new Error("Missing env PALDEFENDER_TOKEN");
+  if (!guildsUrl) throw new Error("Missing env GUILDS_URL");
 
-  const res = await fetch(GUILDS_URL, {
-    headers: { Authorization: `Bearer ${PALDEFENDER_TOKEN}` },
+  return fetchJson(guildsUrl, {
+    headers: { Authorization: `Bearer ${paldefenderToken}` },
+    label: "Guilds API",
   });
+}
+
+// ====== DATA SOURCES ======
+// Chaque source expose fetch() -> { players, guildsJson } normalisés:
+// - players: format de l'API REST officielle (playerId, name, location_x/y)
+// - guildsJson: format PalDefender { [guildId]: { name, camps, members, admin } }
+function normalizePlayers(playersJson) {
+  const list = Array.isArray(playersJson)
+    ? playersJson
+    : (playersJson?.players ?? []);
+
+  return list.map((p) => ({
+    ...p,
+    playerId: p.playerId ?? p.player_id ?? null,
+    name: p.name ?? p.nickname ?? "Player",
+    location_x: Number(p.location_x ?? 0),
+    location_y: Number(p.location_y ?? 0),
+  }));
+}
+
+function normalizeGuilds(guildsJson) {
+  const out = {};
+  for (const [gid, g] of Object.entries(guildsJson ?? {})) {
+    out[gid] = {
+      ...g,
+      camps: g.camps ?? [],
+      members: g.members ?? [],
+      camp_count: g.camp_count ?? g.camps?.length ?? 0,
+    };
+  }
+  return out;
+}
+
+function sourceConfigFromEnv() {
+  return {
+    type: DATA_SOURCE,
+    playersUrl:
+      PLAYERS_URL ??
+      (PALWORLD_API_URL
+        ? `${PALWORLD_API_URL.replace(/\/$/, "")}/v1/api/players`
+        : null),
+    adminPassword: ADMIN_PASSWORD,
+    guildsUrl: GUILDS_URL,
+    paldefenderToken: PALDEFENDER_TOKEN,
+    fixturePath: FIXTURE_PATH,
+  };
+}
+
+// API REST officielle du serveur dédié: joueurs seulement
+function createOfficialSource(config) {
+  return {
+    name: "official",
+    async fetch() {
+      const playersJson = await fetchPlayers(config);
+      return { players: normalizePlayers(playersJson), guildsJson: {} };
+    },
+  };
+}
+
+// API REST officielle (joueurs) + PalDefender (guildes, bases)
+function createPalDefenderSource(config) {
+  return {
+    name: "paldefender",
+    async fetch() {
+      const [playersJson, guildsJson] = await Promise.all([
+        fetchPlayers(config),
+        fetchGuilds(config),
+      ]);
+      return {
+        players: normalizePlayers(playersJson),
+        guildsJson: normalizeGuilds(guildsJson),
+      };
+    },
+  };
+}
+
+// Fichier JSON { players, guilds }, ou dossier de frames *.json rejouées
+// dans l'ordre (une par fetch, en boucle)
+function createFixtureSource(config) {
+  const target = path.resolve(__dirname, config.fixturePath ?? "");
+  let index = 0;
+
+  return {
+    name: "fixture",
+    async fetch() {
+      if (!fs.existsSync(target)) {
+        throw new Error(`Fixture introuvable: ${target}`);
+      }
+
+      let file = target;
+      if (fs.statSync(target).isDirectory()) {
+        const frames = fs
+          .readdirSync(target)
+          .filter((f) => f.endsWith(".json"))
+          .sort();
+        if (!frames.length) throw new Error(`Aucune frame dans ${target}`);
+        file = path.join(target, frames[index % frames.length]);
+        index++;
+      }
+
+      const json = JSON.parse(fs.readFileSync(file, "utf8"));
+      return {
+        players: normalizePlayers(json.players),
+        guildsJson: normalizeGuilds(json.guilds),
+      };
+    },
+  };
+}
+
+const DATA_SOURCE_FACTORIES = {
+  official: createOfficialSource,
+  paldefender: createPalDefenderSource,
+  fixture: createFixtureSource,
+};
+
+function createDataSource(config) {
+  const factory = DATA_SOURCE_FACTORIES[config.type];
+  if (!factory) {
+    throw new Error(
+      `Unknown DATA_SOURCE "${config.type}" (${Object.keys(DATA_SOURCE_FACTORIES).join(", ")})`,
+    );
+  }
+  return factory(config);
+}
+
+// ====== SERVER PROFILES ======
+// Serveurs Palworld déclarés par l'owner du bot (URLs + credentials), ex:
+// { "main": { "label": "Memiroa", "source": "paldefender", "playersUrl": "...",
+//   "adminPassword": "...", "guildsUrl": "...", "paldefenderToken": "...",
+//   "intervalMinutes": 10, "maxPlayers": 20 } }
+// Sans fichier: un seul profil "default" construit depuis les variables d'env.
+const SERVERS_FILE = process.env.SERVERS_FILE ?? "../servers.json";
+const DEFAULT_SERVER_ID = "default";
+
+function loadServerProfiles() {
+  const file = path.resolve(__dirname, SERVERS_FILE);
+  const raw = fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, "utf8"))
+    : { [DEFAULT_SERVER_ID]: { label: "Memiroa", ...sourceConfigFromEnv() } };
+
+  const profiles = {};
+  for (const [id, p] of Object.entries(raw)) {
+    profiles[id] = {
+      ...p,
+      id,
+      label: p.label ?? id,
+      type: p.source ?? p.type ?? "paldefender",
+      intervalMinutes: Number(p.intervalMinutes ?? INTERVAL_MINUTES),
+      maxPlayers: Number(p.maxPlayers ?? 20),
+    };
+  }
 
-  if (!res.ok) throw new Error(`Guilds API HTTP ${res.status}`);
-  return res.json();
+  if (!Object.keys(profiles).length) {
+    throw new Error(`No server profile in ${file}`);
+  }
+  return profiles;
+}
+
+const SERVER_PROFILES = loadServerProfiles();
+const SERVER_IDS = Object.keys(SERVER_PROFILES);
+
+// state d'avant les profils -> rattaché au profil "default" (ou au premier)
+const LEGACY_SERVER_ID = SERVER_PROFILES[DEFAULT_SERVER_ID]
+  ? DEFAULT_SERVER_ID
+  : SERVER_IDS[0];
+
+const dataSources = new Map(
+  SERVER_IDS.map((id) => [id, createDataSource(SERVER_PROFILES[id])]),
+);
+
+function recordFixture({ players, guildsJson }) {
+  if (!RECORD_DIR) return;
+  const dir = path.resolve(__dirname, RECORD_DIR);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(
+    path.join(dir, `${new Date().toISOString().replaceAll(":", "-")}.json`),
+    JSON.stringify({ players, guilds: guildsJson }, null, 2),
+    "utf8",
+  );
 }
 
 // ====== DATA NORMALIZATION ======
@@ -261,301 +1112,915 @@ function sha256(obj) {
   return crypto.createHash("sha256").update(json).digest("hex");
 }
 
-// ====== RENDER (Sharp) ======
-function escapeXml(s) {
-  return String(s)
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&apos;");
-}
-
-// ====== LABELS (accurate sizing via Sharp) ======
-const labelCache = new Map(); // key: text -> { buf,w,h }
-
-async function makeLabelSvg(text, {
-  fontSize = 26,
-  paddingX = 12,
-  paddingY = 10,
-  radius = 8,
-  bg = "rgba(0,0,0,0.75)",
-  fontFamily = "Arial, sans-serif",
-  fontWeight = 700,
-} = {}) {
-  const t = escapeXml(text ?? "");
-  const cacheKey = `${fontSize}|${paddingX}|${paddingY}|${radius}|${t}`;
-  const cached = labelCache.get(cacheKey);
-  if (cached) return cached;
-
-  // 1) Rendu “large” pour mesurer le texte, puis trim pour obtenir la bbox réelle
-  const measureSvg = Buffer.from(`
-<svg width="1200" height="200" xmlns="http://www.w3.org/2000/svg">
-  <rect width="1200" height="200" fill="rgba(0,0,0,0)"/>
-  <text x="0" y="${Math.round(fontSize * 1.1)}"
-        font-family="${fontFamily}"
-        font-size="${fontSize}"
-        font-weight="${fontWeight}"
-        fill="white">${t}</text>
-</svg>`);
-
-  const measured = await sharp(measureSvg).png().trim().toBuffer({ resolveWithObject: true });
-  const textW = measured.info.width;
-  const textH = measured.info.height;
-
-  // 2) Dimensions finales avec padding
-  const w = textW + paddingX * 2;
-  const h = textH + paddingY * 2;
-
-  // 3) SVG final centré (texte + fond)
-  const finalSvg = Buffer.from(`
-<svg width="${w}" height="${h}" xmlns="http://www.w3.org/2000/svg">
-  <rect x="0" y="0" width="${w}" height="${h}" rx="${radius}" ry="${radius}" fill="${bg}"/>
-  <text x="${w / 2}" y="${h / 2}"
-        text-anchor="middle"
-        dominant-baseline="middle"
-        font-family="${fontFamily}"
-        font-size="${fontSize}"
-        font-weight="${fontWeight}"
-        fill="white">${t}</text>
-</svg>`);
-
-  const out = { buf: finalSvg, w, h };
-  labelCache.set(cacheKey, out);
-  return out;
+// ====== PRIVACY ======
+// server.privacy = { links: { discordUserId: pid }, pendingLinks: { discordUserId:
+//   { pid, at } }, hiddenPlayers: { pid: true }, hiddenGuilds: { palGuildId: true },
+//   delayMinutes, fuzzM }
+// S'applique à tout ce qui est public (live-map, site, journal, heatmap,
+// time-lapse); la carte staff (maps[serverId].staff) reste exacte.
+const PRIVACY_MAX_DELAY_MINUTES = 240;
+const PRIVACY_PENDING_LIST_MAX = 15;
+
+function privacyOf(state, serverId) {
+  return state.servers?.[serverId]?.privacy ?? {};
 }
 
-function hexToRgb(hex) {
-  const h = String(hex ?? "")
-    .replace("#", "")
-    .trim();
-  if (h.length !== 6) return { r: 255, g: 255, b: 255 };
-  return {
-    r: parseInt(h.slice(0, 2), 16),
-    g: parseInt(h.slice(2, 4), 16),
-    b: parseInt(h.slice(4, 6), 16),
-  };
+function hasPublicFilter(privacy) {
+  return (
+    Object.keys(privacy.hiddenPlayers ?? {}).length > 0 ||
+    Object.keys(privacy.hiddenGuilds ?? {}).length > 0 ||
+    (privacy.delayMinutes ?? 0) > 0 ||
+    (privacy.fuzzM ?? 0) > 0
+  );
 }
 
-function makeLegendSvg(legendGuilds, scale = 1) {
-  // layout base (avant scale)
-  const pad = 14;
-  const rowH = 28;
-  const titleH = 24;
-  const dotR = 7;
-
-  const w = 340;
-  const h = pad * 2 + titleH + legendGuilds.length * rowH;
-
-  const rows = legendGuilds
-    .map((g, i) => {
-      const y = pad + titleH + i * rowH + 18;
-
-      const { r, g: gg, b } = hexToRgb(g.color);
-      const name = escapeXml(g.name ?? "Guild");
-      const count = Number(g.campCount ?? 0);
-
-      return `
-      <circle cx="${pad + dotR}" cy="${y - 6}" r="${dotR}" fill="rgb(${r},${gg},${b})" />
-      <text x="${pad + dotR * 2 + 10}" y="${y}" font-family="Arial, sans-serif"
-            font-size="16" font-weight="700" fill="white">${name}</text>
-      <text x="${w - pad}" y="${y}" text-anchor="end" font-family="Arial, sans-serif"
-            font-size="16" font-weight="700" fill="white">${count}</text>
-    `;
-    })
-    .join("\n");
+// Centre d'une case de fuzzM mètres (1 m = 100 unités monde): stable d'un
+// tick à l'autre, contrairement à un bruit aléatoire qu'on pourrait moyenner
+function fuzzWorld(v, fuzzM) {
+  const cell = fuzzM * 100;
+  return Math.floor(v / cell) * cell + cell / 2;
+}
 
-  // SVG final: on scale tout le contenu (sans flou)
-  const scaledW = Math.round(w * scale);
-  const scaledH = Math.round(h * scale);
+// Historique tel que publié: coupé au délai, sans joueurs masqués ni bases
+// des guildes masquées, positions arrondies
+function publicHistory(history, privacy, now = Date.now()) {
+  if (!hasPublicFilter(privacy)) return history;
+
+  const hiddenPlayers = privacy.hiddenPlayers ?? {};
+  const hiddenGuilds = privacy.hiddenGuilds ?? {};
+  const delayMs = (privacy.delayMinutes ?? 0) * 60 * 1000;
+  const fuzzM = privacy.fuzzM ?? 0;
+
+  return history
+    .filter((h) => h.t <= now - delayMs)
+    .map((h) => ({
+      ...h,
+      players: h.players
+        .filter((p) => !hiddenPlayers[p.id])
+        .map((p) =>
+          fuzzM > 0 ? { ...p, x: fuzzWorld(p.x, fuzzM), y: fuzzWorld(p.y, fuzzM) } : p,
+        ),
+      ...(h.camps ? { camps: h.camps.filter((c) => !hiddenGuilds[c.guild_id]) } : {}),
+    }));
+}
+
+// Données de la live-map publique. Avec un délai, joueurs et bases viennent
+// du tick d'historique d'il y a delayMinutes (rien tant qu'il n'existe pas).
+function publicView(state, serverId, data) {
+  const privacy = privacyOf(state, serverId);
+  if (!data || !hasPublicFilter(privacy)) return data;
+
+  const hiddenPlayers = privacy.hiddenPlayers ?? {};
+  const hiddenGuilds = privacy.hiddenGuilds ?? {};
+  const delayMinutes = privacy.delayMinutes ?? 0;
+  const fuzzM = privacy.fuzzM ?? 0;
+
+  let players = data.players;
+  let camps = data.camps;
+  const visibleUntil = delayMinutes > 0 ? data.fetchedAt - delayMinutes * 60 * 1000 : null;
+
+  if (visibleUntil) {
+    const history = getHistory(state, serverId, HISTORY_HOURS).filter(
+      (h) => h.t <= visibleUntil,
+    );
+    const names = state.servers?.[serverId]?.lastSeen?.names ?? {};
+    players = (history.at(-1)?.players ?? []).map((p) => ({
+      playerId: p.id,
+      name: names[p.id] ?? "Player",
+      location_x: p.x,
+      location_y: p.y,
+    }));
+    camps = lastHistoryCamps(history) ?? [];
+  }
+
+  players = players.filter((p) => !hiddenPlayers[playerIdOf(p)]);
+  if (fuzzM > 0) {
+    players = players.map((p) => ({
+      ...p,
+      location_x: fuzzWorld(Number(p.location_x ?? 0), fuzzM),
+      location_y: fuzzWorld(Number(p.location_y ?? 0), fuzzM),
+    }));
+  }
+  camps = camps.filter((c) => !hiddenGuilds[c.guild_id]);
 
   return {
-    buf: Buffer.from(`
-<svg width="${scaledW}" height="${scaledH}" xmlns="http://www.w3.org/2000/svg">
-  <g transform="scale(${scale})">
-    <rect x="0" y="0" width="${w}" height="${h}" rx="14" ry="14" fill="rgba(0,0,0,0.55)"/>
-    <text x="${pad}" y="${pad + 18}" font-family="Arial, sans-serif"
-          font-size="16" font-weight="800" fill="white">Guildes (Bases)</text>
-    ${rows}
-  </g>
-</svg>`),
-    w: scaledW,
-    h: scaledH,
+    ...data,
+    players,
+    camps,
+    legendGuilds: data.legendGuilds.filter((g) => !hiddenGuilds[g.id]),
+    hash: sha256(stableSnapshotForHash(players, camps)),
+    privacy: { delayMinutes, fuzzM, visibleUntil },
   };
 }
 
-async function renderSnapshot({
-  players,
-  camps,
-  playerToGuild,
-  legendGuilds,
-  state,
-}) {
-  const icons = await loadIconsOnce();
+// Trails de la vue publique: coupés au délai, supprimés avec le flou (un
+// tracé exact trahirait la position arrondie). Les joueurs masqués n'ont
+// pas d'épingle, renderSnapshot ne dessine donc pas leur trail.
+function trailsFor(view, state, serverId, trailHours) {
+  if (trailHours <= 0 || view.privacy?.fuzzM > 0) return null;
+
+  const history = getHistory(state, serverId, trailHours);
+  const until = view.privacy?.visibleUntil;
+  return buildTrails(until ? history.filter((h) => h.t <= until) : history);
+}
+
+// ====== HEATMAP ======
+const HEATMAP_GRID = 128; // cellules par côté (32px en sortie 4096)
+const HEATMAP_CAMP_WEIGHT = 5; // une base "pèse" autant que 5 positions
+
+// bleu -> cyan -> vert -> jaune -> rouge
+const HEATMAP_STOPS = [
+  [0, 0, 255],
+  [0, 255, 255],
+  [0, 255, 0],
+  [255, 255, 0],
+  [255, 0, 0],
+];
 
-  // 1) lire la map source
-  const baseSrc = sharp(ASSETS.map);
-  const meta = await baseSrc.metadata();
-  const srcW = meta.width ?? 8192;
-  const srcH = meta.height ?? 8192;
+function heatColor(t) {
+  const pos = t * (HEATMAP_STOPS.length - 1);
+  const i = Math.min(Math.floor(pos), HEATMAP_STOPS.length - 2);
+  const f = pos - i;
+  const [a, b] = [HEATMAP_STOPS[i], HEATMAP_STOPS[i + 1]];
+  return a.map((v, k) => Math.round(v + (b[k] - v) * f));
+}
 
-  // 2) créer un canvas base en OUTPUT_SIZE
-  const base = baseSrc.resize(OUTPUT_SIZE, OUTPUT_SIZE, { fit: "fill" });
+function blurGrid(grid, n) {
+  const out = new Float32Array(n * n);
+  for (let y = 0; y < n; y++) {
+    for (let x = 0; x < n; x++) {
+      let sum = 0;
+      let weight = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const xx = x + dx;
+          const yy = y + dy;
+          if (xx < 0 || yy < 0 || xx >= n || yy >= n) continue;
+          const w = dx === 0 && dy === 0 ? 4 : dx === 0 || dy === 0 ? 2 : 1;
+          sum += grid[yy * n + xx] * w;
+          weight += w;
+        }
+      }
+      out[y * n + x] = sum / weight;
+    }
+  }
+  return out;
+}
 
-  // 3) facteur d’échelle coord pixels
-  const sx = OUTPUT_SIZE / srcW;
-  const sy = OUTPUT_SIZE / srcH;
+async function renderHeatmap({ history, camps = [], hours, locale = DEFAULT_LOCALE }) {
+  const { base, toCanvas } = await loadBaseMap();
+  const n = HEATMAP_GRID;
+  const cell = OUTPUT_SIZE / n;
+
+  let grid = new Float32Array(n * n);
+  const add = (px, py, w) => {
+    const { x, y } = toCanvas({ px, py });
+    const gx = Math.floor(x / cell);
+    const gy = Math.floor(y / cell);
+    if (gx < 0 || gy < 0 || gx >= n || gy >= n) return;
+    grid[gy * n + gx] += w;
+  };
 
-  const composites = [];
+  let samples = 0;
+  for (const h of history) {
+    for (const p of h.players) {
+      const { px, py } = worldToPixel(p.x, p.y);
+      add(px, py, 1);
+      samples++;
+    }
+  }
 
-  // Camps
   for (const c of camps) {
     if (typeof c.map_x !== "number" || typeof c.map_y !== "number") continue;
-
     const { px, py } = mapToPixel(c.map_x, c.map_y);
-    const x = px * sx;
-    const y = py * sy;
-
-    const size = icons.CAMP_SIZE;
-
-    const color = pickColorForGuild(c.guild_id ?? "unknown", state);
-    const campIcon = await getTintedIcon(ASSETS.camp, size, color);
+    add(px, py, HEATMAP_CAMP_WEIGHT);
+  }
 
-    composites.push({
-      input: campIcon,
-      left: Math.round(x - size / 2),
-      top: Math.round(y - size / 2),
-    });
+  grid = blurGrid(blurGrid(grid, n), n);
+
+  // échelle racine: sinon une seule base très fréquentée écrase tout le reste
+  const max = Math.sqrt(Math.max(...grid));
+  const rgba = Buffer.alloc(n * n * 4);
+  for (let i = 0; i < n * n; i++) {
+    const t = max > 0 ? Math.sqrt(grid[i]) / max : 0;
+    if (t <= 0) continue; // transparent
+    const [r, g, b] = heatColor(t);
+    rgba[i * 4] = r;
+    rgba[i * 4 + 1] = g;
+    rgba[i * 4 + 2] = b;
+    // fondu sur les bords faibles plutôt qu'une coupure nette
+    rgba[i * 4 + 3] = Math.round(Math.min(1, t / 0.25) * (90 + 130 * t));
   }
 
-  // Players
-  for (const p of players) {
-    const wx = Number(p.location_x ?? 0);
-    const wy = Number(p.location_y ?? 0);
-    if (!wx && !wy) continue;
+  const overlay = await sharp(rgba, { raw: { width: n, height: n, channels: 4 } })
+    .resize(OUTPUT_SIZE, OUTPUT_SIZE, { kernel: sharp.kernel.cubic })
+    .png()
+    .toBuffer();
 
-    const { px, py } = worldToPixel(wx, wy);
-    const x = px * sx;
-    const y = py * sy;
+  const title = await makeLabelSvg(
+    t(locale, "heatmap.title", { hours, samples, camps: camps.length }),
+    { fontSize: 48, paddingX: 24, paddingY: 18, radius: 14 },
+  );
 
-    const size = icons.PLAYER_SIZE;
+  return await base
+    .composite([
+      { input: overlay, left: 0, top: 0 },
+      { input: title.buf, left: 32, top: 32 },
+    ])
+    .jpeg({ quality: 85, mozjpeg: true })
+    .toBuffer();
+}
 
-    const pid = normalizePalId(p.playerId ?? p.player_id ?? "");
-    const palGuildId = playerToGuild?.[pid] ?? null;
+// ====== TIMELAPSE ======
+const TIMELAPSE_SIZE = 720;
+const TIMELAPSE_MAX_FRAMES = 150; // au-delà, on saute des ticks
+const TIMELAPSE_FRAME_MS = 150;
+const TIMELAPSE_LAST_FRAME_MS = 2000;
 
-    const color = palGuildId ? pickColorForGuild(palGuildId, state) : "#FFFFFF";
-    const playerIcon = await getTintedIcon(ASSETS.player, size, color);
+// Une frame par tick d'historique: joueurs du tick + bases en vigueur à ce moment
+async function renderTimelapse({
+  history,
+  data,
+  state,
+  serverId,
+  format = "webp",
+  locale = DEFAULT_LOCALE,
+}) {
+  const step = Math.ceil(history.length / TIMELAPSE_MAX_FRAMES);
+  const ticks = history.filter((_, i) => i % step === 0 || i === history.length - 1);
+
+  // base map rendue une seule fois pour toutes les frames
+  const map = await loadBaseMap({ size: TIMELAPSE_SIZE });
+  const baseMap = { ...map, buf: await map.base.png().toBuffer() };
+
+  const options = {
+    ...RENDER_DEFAULTS,
+    names: false, // illisibles à cette taille
+    legendTitle: t(locale, "render.legendTitle"),
+    size: TIMELAPSE_SIZE,
+    format: "jpeg",
+    quality: 90,
+  };
 
-    composites.push({
-      input: playerIcon,
-      left: Math.round(x - size / 2),
-      top: Math.round(y - size), // bottom-center (épingle)
-    });
+  // bases en vigueur au début de la fenêtre (sinon: les actuelles)
+  let camps = lastHistoryCamps(history.filter((h) => h.t <= ticks[0].t)) ?? compactCamps(data?.camps);
+
+  const frames = [];
+  for (const h of history) {
+    if (h.camps) camps = h.camps;
+    if (!ticks.includes(h)) continue;
+
+    const counts = {};
+    for (const c of camps) {
+      counts[c.guild_id] ??= {
+        id: c.guild_id,
+        name: c.guild ?? t(locale, "common.unknownGuild"),
+        campCount: 0,
+      };
+      counts[c.guild_id].campCount += 1;
+    }
+    const legendGuilds = Object.values(counts)
+      .map((g) => ({ ...g, color: pickColorForGuild(g.id, state, serverId) }))
+      .sort((a, b) => b.campCount - a.campCount || a.name.localeCompare(b.name));
+
+    frames.push(
+      await renderSnapshot({
+        players: h.players.map((p) => ({ playerId: p.id, location_x: p.x, location_y: p.y })),
+        camps,
+        playerToGuild: data?.playerToGuild ?? {},
+        legendGuilds,
+        options,
+        colors: guildColorsFor(state, serverId, {
+          camps,
+          playerToGuild: data?.playerToGuild,
+        }),
+        baseMap,
+        caption: formatDateTime(locale, h.t, {
+          weekday: "short",
+          day: "2-digit",
+          month: "2-digit",
+          hour: "2-digit",
+          minute: "2-digit",
+        }),
+      }),
+    );
+  }
 
-    const label = await makeLabelSvg(p.name ?? p.nickname ?? "Player");
+  const delay = frames.map((_, i) =>
+    i === frames.length - 1 ? TIMELAPSE_LAST_FRAME_MS : TIMELAPSE_FRAME_MS,
+  );
+  const animated = sharp(frames, { join: { animated: true } });
+  const buf =
+    format === "gif"
+      ? await animated.gif({ loop: 0, delay }).toBuffer()
+      : await animated.webp({ loop: 0, delay, quality: 75 }).toBuffer();
 
-    composites.push({
-      input: label.buf,
-      left: Math.round(x - label.w / 2),          // centré au-dessus du joueur
-      top: Math.round(y - size - label.h - 8),    // juste au-dessus de l'épingle
-    });
+  return { buf, frames: frames.length };
+}
 
-    composites.push({
-      input: label.buf,
-      left: Math.round(x - label.w / 2), // ✅ centré sur x
-      top: Math.round(y - size - label.h - 8), // ✅ juste au-dessus de l'épingle
-    });
-  }
+// ====== ZOOM ======
+const ZOOM_SIZE = 1600; // largeur de l'image zoomée
+const ZOOM_MIN_SPAN = 1000; // px source (~385 unités de carte)
+const ZOOM_PADDING = 300; // px source autour de la cible
+
+// Vue carrée (px source) englobant tous les points
+function viewAround(points) {
+  const xs = points.map((p) => p.px);
+  const ys = points.map((p) => p.py);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+
+  const span = Math.max(
+    ZOOM_MIN_SPAN,
+    maxX - minX + ZOOM_PADDING * 2,
+    maxY - minY + ZOOM_PADDING * 2,
+  );
 
-  // Legend (bottom-right)
-  if (Array.isArray(legendGuilds) && legendGuilds.length) {
-    const {
-      buf: legendSvg,
-      w: legendW,
-      h: legendH,
-    } = makeLegendSvg(legendGuilds, LEGEND_SCALE);
+  return {
+    left: (minX + maxX) / 2 - span / 2,
+    top: (minY + maxY) / 2 - span / 2,
+    width: span,
+    height: span,
+  };
+}
 
-    composites.push({
-      input: legendSvg,
-      left: OUTPUT_SIZE - legendW - 24,
-      top: OUTPUT_SIZE - legendH - 24,
-    });
-  }
+function findPlayerByName(players, name) {
+  const q = String(name ?? "").trim().toLowerCase();
+  if (!q) return null;
+  const nameOf = (p) => String(p.name ?? p.nickname ?? "").toLowerCase();
+  return (
+    players.find((p) => nameOf(p) === q) ??
+    players.find((p) => nameOf(p).includes(q)) ??
+    null
+  );
+}
 
-  return await base
-    .composite(composites)
-    .jpeg({ quality: 85, mozjpeg: true })
-    .toBuffer();
+function findGuildByName(guildsJson, name) {
+  const q = String(name ?? "").trim().toLowerCase();
+  if (!q) return null;
+  const entries = Object.entries(guildsJson ?? {});
+  const nameOf = ([, g]) => String(g.name ?? "").toLowerCase();
+  const hit =
+    entries.find((e) => nameOf(e) === q) ??
+    entries.find((e) => nameOf(e).includes(q));
+  return hit ? { id: hit[0], ...hit[1] } : null;
 }
 
-// ====== DISCORD HELPERS ======
-const client = new Client({
+// -> { label, points: [{ px, py }] } ou null
+function resolveZoomTarget(data, { player, guild, x, y }) {
+  if (player) {
+    const p = findPlayerByName(data.players, player);
+    if (!p) return null;
+    const wx = Number(p.location_x ?? 0);
+    const wy = Number(p.location_y ?? 0);
+    if (!wx && !wy) return null;
+    return {
+      label: p.name ?? p.nickname ?? "Player",
+      points: [worldToPixel(wx, wy)],
+    };
+  }
+
+  if (guild) {
+    const g = findGuildByName(data.guildsJson, guild);
+    if (!g) return null;
+
+    const points = data.camps
+      .filter((c) => c.guild_id === g.id)
+      .filter((c) => typeof c.map_x === "number" && typeof c.map_y === "number")
+      .map((c) => mapToPixel(c.map_x, c.map_y));
+
+    for (const p of data.players) {
+      if (data.playerToGuild?.[playerIdOf(p)] !== g.id) continue;
+      const wx = Number(p.location_x ?? 0);
+      const wy = Number(p.location_y ?? 0);
+      if (wx || wy) points.push(worldToPixel(wx, wy));
+    }
+
+    return points.length ? { label: g.name ?? "Guild", points } : null;
+  }
+
+  if (typeof x === "number" && typeof y === "number") {
+    return { label: `${Math.round(x)}, ${Math.round(y)}`, points: [mapToPixel(x, y)] };
+  }
+
+  return null;
+}
+
+// Cible dans l'image de la carte (au moins un point)
+async function isOnMap(target) {
+  const { width, height } = await sourceMapMeta();
+  return target.points.some(
+    (p) => p.px >= 0 && p.px <= width && p.py >= 0 && p.py <= height,
+  );
+}
+
+// Joueurs connus: en ligne + déjà vus (noms gardés par le journal d'activité),
+// sans les joueurs masqués (data: vue publique)
+function knownPlayerNames(state, serverId, data) {
+  const hidden = privacyOf(state, serverId).hiddenPlayers ?? {};
+  const names = Object.entries(state.servers?.[serverId]?.lastSeen?.names ?? {})
+    .filter(([pid]) => !hidden[pid])
+    .map(([, name]) => name);
+  for (const p of data?.players ?? []) names.push(p.name ?? p.nickname ?? "");
+  return [...new Set(names.filter(Boolean))];
+}
+
+// -> { pid, name, online, x, y, at } (coords monde) ou null.
+// publicOnly: comme publié (data = publicView, joueurs masqués introuvables,
+// historique coupé au délai et arrondi)
+function lookupPlayer(state, serverId, data, name, { publicOnly = false } = {}) {
+  const online = findPlayerByName(data?.players ?? [], name);
+  if (online) {
+    return {
+      pid: playerIdOf(online),
+      name: online.name ?? online.nickname ?? "Player",
+      online: true,
+      x: Number(online.location_x ?? 0),
+      y: Number(online.location_y ?? 0),
+      at: data.privacy?.visibleUntil ?? Date.now(),
+    };
+  }
+
+  // hors ligne: dernière position connue dans l'historique
+  const privacy = publicOnly ? privacyOf(state, serverId) : {};
+  const q = String(name ?? "").trim().toLowerCase();
+  const server = state.servers?.[serverId];
+  const names = Object.entries(server?.lastSeen?.names ?? {}).filter(
+    ([pid]) => !privacy.hiddenPlayers?.[pid],
+  );
+  const hit =
+    names.find(([, n]) => n.toLowerCase() === q) ??
+    names.find(([, n]) => n.toLowerCase().includes(q));
+  if (!q || !hit) return null;
+
+  const [pid, knownName] = hit;
+  const history = publicHistory(getHistory(state, serverId, HISTORY_HOURS), privacy);
+  for (let i = history.length - 1; i >= 0; i--) {
+    const p = history[i].players.find((x) => x.id === pid);
+    if (p) {
+      return { pid, name: knownName, online: false, x: p.x, y: p.y, at: history[i].t };
+    }
+  }
+
+  return { pid, name: knownName, online: false, x: null, y: null, at: null };
+}
+
+function nearestGuildCamp(data, guildId, pos) {
+  let best = null;
+  for (const c of data?.camps ?? []) {
+    if (c.guild_id !== guildId) continue;
+    if (typeof c.map_x !== "number" || typeof c.map_y !== "number") continue;
+    const meters = mapDistanceMeters(pos, { mapX: c.map_x, mapY: c.map_y });
+    if (!best || meters < best.meters) best = { camp: c, meters };
+  }
+  return best;
+}
+
+// grid: { grid, gridStep } du serveur Discord (quadrillage en coordonnées du jeu)
+async function renderZoom(data, target, { state, trailHours = 0, grid = null } = {}) {
+  return await renderSnapshot({
+    players: data.players,
+    camps: data.camps,
+    playerToGuild: data.playerToGuild,
+    legendGuilds: [],
+    trails: trailsFor(data, state, data.serverId, trailHours),
+    trailHours,
+    view: viewAround(target.points),
+    size: ZOOM_SIZE,
+    colors: guildColorsFor(state, data.serverId, data),
+    options: grid?.grid
+      ? { ...RENDER_DEFAULTS, grid: true, gridStep: grid.gridStep }
+      : RENDER_DEFAULTS,
+  });
+}
+
+// ====== RENDER WORKER ======
+// Les live-maps sont rendues dans un worker thread (render-worker.js) pour ne
+// pas bloquer la gateway Discord. RENDER_WORKER=0: rendu dans le thread principal.
+const RENDER_IN_WORKER = process.env.RENDER_WORKER !== "0";
+
+let renderWorker = null;
+let renderSeq = 0;
+const pendingRenders = new Map(); // id -> { resolve, reject }
+
+function getRenderWorker() {
+  if (renderWorker) return renderWorker;
+
+  renderWorker = new Worker(new URL("./render-worker.js", import.meta.url));
+  renderWorker.unref();
+
+  renderWorker.on("message", ({ id, buf, error }) => {
+    const pending = pendingRenders.get(id);
+    if (!pending) return;
+    pendingRenders.delete(id);
+    if (error) pending.reject(new Error(error));
+    else pending.resolve(Buffer.from(buf.buffer, buf.byteOffset, buf.byteLength));
+  });
+  renderWorker.on("error", (err) => console.error("Render worker error:", err));
+  // crash -> rendus en attente rejetés, nouveau worker au prochain rendu
+  renderWorker.on("exit", (code) => {
+    renderWorker = null;
+    for (const pending of pendingRenders.values()) {
+      pending.reject(new Error(`Render worker exited (${code})`));
+    }
+    pendingRenders.clear();
+  });
+
+  return renderWorker;
+}
+
+// args de renderSnapshot, sans fonctions (clonés vers le worker)
+function renderInWorker(args) {
+  if (!RENDER_IN_WORKER) return renderSnapshot(args);
+
+  const id = ++renderSeq;
+  return new Promise((resolve, reject) => {
+    pendingRenders.set(id, { resolve, reject });
+    getRenderWorker().postMessage({ id, args });
+  });
+}
+
+// Même données + mêmes options = même image: un rendu par combinaison et par
+// hash, partagé entre les serveurs Discord (promesse partagée si en cours).
+// Vue publique et carte staff d'un même fetch coexistent dans le cache.
+const renderCache = new Map(); // serverId -> { fetchedAt, renders: Map<clé, Promise<Buffer>> }
+
+function renderLiveMap(serverId, data, args, { fresh = false, timing = null } = {}) {
+  let cached = renderCache.get(serverId);
+  if (cached?.fetchedAt !== data.fetchedAt) {
+    cached = { fetchedAt: data.fetchedAt, renders: new Map() };
+    renderCache.set(serverId, cached);
+  }
+
+  const key = sha256({
+    hash: data.hash,
+    options: args.options,
+    trailHours: args.trailHours,
+    colors: args.colors,
+  });
+
+  if (!fresh && cached.renders.has(key)) {
+    if (timing) timing.cacheHits++;
+    return cached.renders.get(key);
+  }
+
+  const start = performance.now();
+  const render = renderInWorker(args).then((buf) => {
+    if (timing) {
+      timing.renders++;
+      timing.renderMs += performance.now() - start;
+    }
+    return buf;
+  });
+  render.catch(() => cached.renders.delete(key));
+  cached.renders.set(key, render);
+  return render;
+}
+
+// ====== DISCORD HELPERS ======
+const UPLOAD_MAX_BYTES = 10 * 1024 * 1024; // limite d'upload Discord
+const UPLOAD_MIN_SIZE = 1024;
+
+// Une carte 8192 px en PNG dépasse vite la limite: on retombe sur du JPEG,
+// puis on divise la taille par deux jusqu'à passer
+async function fitUpload(buf, options) {
+  if (buf.length <= UPLOAD_MAX_BYTES) return { buf, format: options.format };
+
+  let size = options.size;
+  let out = await encodeImage(sharp(buf), { format: "jpeg", quality: options.quality });
+  while (out.length > UPLOAD_MAX_BYTES && size > UPLOAD_MIN_SIZE) {
+    size = Math.max(UPLOAD_MIN_SIZE, Math.round(size / 2));
+    out = await encodeImage(sharp(buf).resize(size, size), {
+      format: "jpeg",
+      quality: options.quality,
+    });
+  }
+  if (out.length > UPLOAD_MAX_BYTES) {
+    throw new Error(
+      `Image trop lourde pour Discord même en JPEG ${size} px (${(out.length / 1024 / 1024).toFixed(1)} Mo)`,
+    );
+  }
+
+  console.warn(
+    `Carte ${options.size} px en ${options.format} trop lourde (${(buf.length / 1024 / 1024).toFixed(1)} Mo): envoyée en JPEG ${size} px`,
+  );
+  return { buf: out, format: "jpeg" };
+}
+
+const client = new Client({
   intents: [GatewayIntentBits.Guilds],
 });
 
-let running = false;
+const running = new Set(); // serverId en cours de tick
+const lastData = new Map(); // serverId -> dernier fetchSnapshotData() réussi
+const lastRenders = new Map(); // serverId -> { buf, format, at } dernière live-map rendue
+let timelapseRunning = false; // un seul time-lapse à la fois (rendu lourd)
 
-async function ensureMessage(channel, guildId, state) {
-  const cfg = state.guilds[guildId];
-  if (!cfg) throw new Error("No config for this guild");
-
-  if (cfg.messageId) {
+// entry: state.guilds[guildId].maps[serverId] ou sa carte staff (.staff)
+async function ensureMessage(channel, entry, state, locale = DEFAULT_LOCALE) {
+  if (entry.messageId) {
     try {
-      const msg = await channel.messages.fetch(cfg.messageId);
+      const msg = await channel.messages.fetch(entry.messageId);
       return msg;
     } catch {
       // supprimé / introuvable → on recrée
     }
   }
 
-  const msg = await channel.send("🗺️ Initialisation de la carte…");
-  cfg.messageId = msg.id;
+  const msg = await channel.send(t(locale, "map.init"));
+  entry.messageId = msg.id;
   saveState(state);
   return msg;
 }
 
+// Couleurs modifiées (/palmap color, palette): légende en cache à jour et
+// re-render de toutes les live-maps de ce serveur Palworld au prochain tick
+function guildColorsChanged(state, serverId) {
+  for (const g of lastData.get(serverId)?.legendGuilds ?? []) {
+    g.color = pickColorForGuild(g.id, state, serverId);
+  }
+  for (const cfg of Object.values(state.guilds ?? {})) {
+    for (const { target } of mapTargets(cfg?.maps?.[serverId])) target.lastHash = null;
+  }
+  saveState(state);
+}
+
+// La live-map ne bouge que si les données ont changé; les options de rendu
+// (trails, /palmap config) invalident toutes les cartes du serveur Discord
+function invalidateMaps(cfg) {
+  for (const entry of Object.values(cfg?.maps ?? {})) {
+    for (const { target } of mapTargets(entry)) target.lastHash = null;
+  }
+}
+
+// Messages live-map d'une entrée: la carte publique (filtrée par
+// server.privacy) et, si configurée, la carte staff exacte (entry.staff)
+function mapTargets(entry) {
+  const targets = [];
+  if (entry?.channelId) targets.push({ target: entry, staff: false });
+  if (entry?.staff?.channelId) targets.push({ target: entry.staff, staff: true });
+  return targets;
+}
+
 async function doUpdateForGuild(
   guildId,
-  cfg,
+  serverId,
   state,
   data,
-  { force = false } = {},
+  { force = false, timing = null } = {},
 ) {
+  const cfg = state.guilds?.[guildId];
+  const targets = mapTargets(cfg?.maps?.[serverId]);
+  if (!targets.length) return;
+
   const guild = await client.guilds.fetch(guildId).catch(() => null);
   if (!guild) return;
 
-  const channel = await client.channels.fetch(cfg.channelId).catch(() => null);
+  await Promise.all(
+    targets.map(({ target, staff }) =>
+      updateMapMessage(target, staff ? data : publicView(state, serverId, data), {
+        cfg,
+        serverId,
+        state,
+        staff,
+        force,
+        timing,
+      }),
+    ),
+  );
+}
+
+// target: maps[serverId] (carte publique) ou maps[serverId].staff
+async function updateMapMessage(
+  target,
+  view,
+  { cfg, serverId, state, staff, force, timing },
+) {
+  const channel = await client.channels.fetch(target.channelId).catch(() => null);
   if (!channel || channel.type !== ChannelType.GuildText) return;
 
-  const msg = await ensureMessage(channel, guildId, state);
+  const msg = await ensureMessage(channel, target, state, guildLocale(cfg));
 
-  if (!force && cfg.lastHash && cfg.lastHash === data.hash) {
+  if (!force && target.lastHash && target.lastHash === view.hash) {
     return;
   }
 
-  const buf = await renderSnapshot({
-    players: data.players,
-    camps: data.camps,
-    playerToGuild: data.playerToGuild,
-    legendGuilds: data.legendGuilds,
-    state, // <= important: pour persister les couleurs
+  const trailHours = Math.min(cfg.trailHours ?? 0, HISTORY_HOURS);
+  const options = getRenderOptions(cfg);
+
+  const buf = await renderLiveMap(
+    serverId,
+    view,
+    {
+      players: view.players,
+      camps: view.camps,
+      playerToGuild: view.playerToGuild,
+      legendGuilds: view.legendGuilds,
+      trails: trailsFor(view, state, serverId, trailHours),
+      trailHours,
+      options,
+      colors: guildColorsFor(state, serverId, view),
+    },
+    { fresh: force, timing },
+  );
+
+  // /map du site: jamais la carte staff
+  if (!staff) lastRenders.set(serverId, { buf, format: options.format, at: Date.now() });
+
+  const upload = await fitUpload(buf, options);
+  const file = new AttachmentBuilder(upload.buf, {
+    name: `palworld-map.${imageExtension(upload.format)}`,
   });
-
-  const file = new AttachmentBuilder(buf, { name: "palworld-map.jpg" });
   const embed = makePalmapEmbed({
-    playersCount: data.players.length,
-    campsCount: data.camps.length,
+    profile: SERVER_PROFILES[serverId],
+    playersCount: view.players.length,
+    campsCount: view.camps.length,
     force,
+    staff,
+    privacy: view.privacy,
+    locale: options.locale,
   });
 
   await msg.edit({
     content: "",
     embeds: [embed],
     files: [file],
+    components: mapComponents(view, options, serverId, options.locale),
+  });
+
+  target.lastHash = view.hash;
+  target.lastUpdatedAt = new Date().toISOString();
+  delete target.staleSince;
+  saveState(state);
+}
+
+// ====== LIVE-MAP COMPONENTS ======
+// Boutons et menu sous chaque live-map (publique et staff).
+// customId: palmap:<action>:<serverId>[:<calque>] (voir handleComponent)
+const LAYER_TOGGLES = [
+  { layer: "players", emoji: "👤" },
+  { layer: "camps", emoji: "🏕️" },
+  { layer: "names", emoji: "🏷️" },
+  { layer: "legend", emoji: "📋" },
+];
+const REFRESH_COOLDOWN_MS = 60 * 1000; // par live-map
+const HIGHLIGHT_COOLDOWN_MS = 20 * 1000; // par membre
+const componentCooldowns = new Map(); // clé -> dernier usage (ts)
+
+function mapComponents(view, options, serverId, locale) {
+  const buttons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`palmap:refresh:${serverId}`)
+      .setEmoji("🔄")
+      .setLabel(t(locale, "components.refresh"))
+      .setStyle(ButtonStyle.Primary),
+    ...LAYER_TOGGLES.map(({ layer, emoji }) =>
+      new ButtonBuilder()
+        .setCustomId(`palmap:layer:${serverId}:${layer}`)
+        .setEmoji(emoji)
+        .setLabel(t(locale, `components.layer.${layer}`))
+        .setStyle(options[layer] ? ButtonStyle.Success : ButtonStyle.Secondary),
+    ),
+  );
+
+  // guildes visibles sur la carte: avec des bases, puis avec des membres en ligne
+  const online = {};
+  for (const p of view.players) {
+    const gid = view.playerToGuild?.[playerIdOf(p)];
+    if (gid) online[gid] = (online[gid] ?? 0) + 1;
+  }
+  const campCounts = Object.fromEntries(view.legendGuilds.map((g) => [g.id, g.campCount]));
+  const guildIds = [...new Set([...Object.keys(campCounts), ...Object.keys(online)])]
+    .filter((gid) => view.guildsJson?.[gid])
+    .slice(0, 25);
+  if (!guildIds.length) return [buttons];
+
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`palmap:guild:${serverId}`)
+    .setPlaceholder(t(locale, "components.guildPlaceholder"))
+    .addOptions(
+      guildIds.map((gid) => ({
+        label: (view.guildsJson[gid].name || gid).slice(0, 100),
+        value: gid,
+        description: t(locale, "components.guildOption", {
+          camps: campCounts[gid] ?? 0,
+          online: online[gid] ?? 0,
+        }),
+      })),
+    );
+  return [buttons, new ActionRowBuilder().addComponents(menu)];
+}
+
+// true (avec une réponse éphémère) si l'action a servi il y a moins de ms
+async function replyIfCooldown(interaction, key, ms, locale) {
+  const now = Date.now();
+  const last = componentCooldowns.get(key) ?? 0;
+  if (now - last < ms) {
+    await interaction.reply({
+      content: t(locale, "components.cooldown", {
+        when: `<t:${Math.ceil((last + ms) / 1000)}:R>`,
+      }),
+      ephemeral: true,
+    });
+    return true;
+  }
+
+  for (const [k, at] of componentCooldowns) {
+    if (now - at > Math.max(REFRESH_COOLDOWN_MS, HIGHLIGHT_COOLDOWN_MS)) {
+      componentCooldowns.delete(k);
+    }
+  }
+  componentCooldowns.set(key, now);
+  return false;
+}
+
+// ====== SOURCE HEALTH ======
+// server.source = { downSince, lastOkAt, lastError, lastErrorAt } (persisté:
+// l'erreur reste visible dans /palmap status après un redémarrage)
+function markSourceUp(serverId) {
+  const state = loadState();
+  const server = getServerState(state, serverId);
+  server.source = { ...server.source, downSince: null, lastOkAt: Date.now() };
+  saveState(state);
+}
+
+function markSourceDown(serverId, err) {
+  const state = loadState();
+  const server = getServerState(state, serverId);
+  const now = Date.now();
+  server.source = {
+    ...server.source,
+    downSince: server.source?.downSince ?? now,
+    lastError: err.message,
+    lastErrorAt: now,
+  };
+  saveState(state);
+  return server.source;
+}
+
+// Source en panne: une seule édition par panne — embed "injoignable" et,
+// si activé, la dernière carte connue en niveaux de gris
+async function doStaleUpdateForGuild(guildId, serverId, state, source) {
+  const cfg = state.guilds?.[guildId];
+  const data = lastData.get(serverId);
+
+  await Promise.all(
+    mapTargets(cfg?.maps?.[serverId]).map(({ target, staff }) =>
+      staleUpdateMapMessage(target, staff ? data : publicView(state, serverId, data), {
+        cfg,
+        serverId,
+        state,
+        staff,
+        source,
+      }),
+    ),
+  );
+}
+
+async function staleUpdateMapMessage(target, view, { cfg, serverId, state, staff, source }) {
+  if (!target.messageId) return;
+  if (target.staleSince === source.downSince) return;
+
+  const channel = await client.channels.fetch(target.channelId).catch(() => null);
+  if (!channel || channel.type !== ChannelType.GuildText) return;
+  const msg = await channel.messages.fetch(target.messageId).catch(() => null);
+  if (!msg) return;
+
+  const options = getRenderOptions(cfg);
+  const embed = makePalmapEmbed({
+    profile: SERVER_PROFILES[serverId],
+    playersCount: view?.players.length ?? 0,
+    campsCount: view?.camps.length ?? 0,
+    downSince: source.downSince,
+    staff,
+    privacy: view?.privacy,
+    locale: options.locale,
   });
 
-  cfg.lastHash = data.hash;
-  cfg.lastUpdatedAt = new Date().toISOString();
+  const files = [];
+  if (options.staleGreyscale && view) {
+    const buf = await renderInWorker({
+      players: view.players,
+      camps: view.camps,
+      playerToGuild: view.playerToGuild,
+      legendGuilds: view.legendGuilds,
+      options: { ...options, format: "png" },
+      colors: guildColorsFor(state, serverId, view),
+    });
+    const grey = await fitUpload(await encodeImage(sharp(buf).greyscale(), options), options);
+    files.push(
+      new AttachmentBuilder(grey.buf, {
+        name: `palworld-map.${imageExtension(grey.format)}`,
+      }),
+    );
+  }
+
+  await msg.edit(files.length ? { embeds: [embed], files } : { embeds: [embed] });
+
+  target.staleSince = source.downSince;
+  target.lastHash = null; // re-render en couleur au retour du serveur
   saveState(state);
 }
 
@@ -573,11 +2038,10 @@ function buildPlayerToGuildMap(guildsJson) {
   return map;
 }
 
-async function fetchSnapshotData() {
-  const playersJson = await fetchPlayers();
-  const guildsJson = await fetchGuilds();
+async function fetchSnapshotData(serverId) {
+  const { players, guildsJson } = await dataSources.get(serverId).fetch();
+  recordFixture({ players, guildsJson });
 
-  const players = playersJson.players ?? playersJson ?? [];
   const camps = extractCamps(guildsJson);
 
   const playerToGuild = buildPlayerToGuildMap(guildsJson);
@@ -585,12 +2049,13 @@ async function fetchSnapshotData() {
   // ✅ LEGEND: on utilise les couleurs persistées (state) via pickColorForGuild
   // Note: on ne filtre que les guildes avec au moins 1 base
   const state = loadState();
+  ensureDistinctGuildColors(state, serverId, Object.keys(guildsJson));
   const legendGuilds = Object.entries(guildsJson)
     .map(([gid, g]) => ({
       id: gid,
       name: g.name,
       campCount: g.camp_count ?? 0,
-      color: pickColorForGuild(gid, state),
+      color: pickColorForGuild(gid, state, serverId),
     }))
     .filter((g) => g.campCount > 0)
     .sort((a, b) => b.campCount - a.campCount || a.name.localeCompare(b.name));
@@ -602,156 +2067,2538 @@ async function fetchSnapshotData() {
   const hashPayload = stableSnapshotForHash(players, camps);
   const hash = sha256(hashPayload);
 
-  return { players, camps, playerToGuild, guildsJson, legendGuilds, hash };
+  return {
+    serverId,
+    players,
+    camps,
+    playerToGuild,
+    guildsJson,
+    legendGuilds,
+    hash,
+    fetchedAt: Date.now(),
+  };
 }
 
-async function tick({ forceGuildId = null } = {}) {
-  if (running) return;
-  running = true;
+// ====== EVENTS FEED ======
+// On compare le snapshot courant au précédent (persisté dans le state pour
+// ne pas annoncer tout le monde comme "connecté" à chaque redémarrage).
+function collectEvents(data) {
+  const state = loadState();
+  const server = getServerState(state, data.serverId);
+  const prev = server.lastSeen ?? null;
+
+  const online = {};
+  for (const p of data.players) {
+    const pid = playerIdOf(p);
+    if (pid) online[pid] = p.name ?? p.nickname ?? "Player";
+  }
 
-  try {
-    const state = loadState();
-    const guildEntries = Object.entries(state.guilds ?? {});
-    if (guildEntries.length === 0) return;
+  const names = { ...(prev?.names ?? {}), ...online };
+  const members = { ...data.playerToGuild };
+  const camps = data.camps.map((c) => c.camp_id).filter(Boolean);
 
-    const data = await fetchSnapshotData();
+  server.lastSeen = { online, names, members, camps };
+  saveState(state);
 
-    for (const [guildId, cfg] of guildEntries) {
-      if (!cfg?.channelId) continue;
-      if (forceGuildId && guildId !== forceGuildId) continue;
+  // premier passage: rien à comparer
+  if (!prev) return [];
 
-      // IMPORTANT: on recharge state ici pour doUpdateForGuild (colors etc.)
-      const freshState = loadState();
+  // noms manquants: remplacés à l'affichage, dans la langue de chaque serveur Discord
+  const guildName = (gid) => data.guildsJson?.[gid]?.name ?? null;
+  const now = Date.now();
+  const events = [];
+  // joueurs masqués et bases masquées: rien dans le journal (public)
+  const { hiddenPlayers = {}, hiddenGuilds = {} } = privacyOf(state, data.serverId);
 
-      await doUpdateForGuild(guildId, cfg, freshState, data, {
-        force: forceGuildId === guildId,
-      }).catch((err) => console.error(`Update error guild ${guildId}:`, err));
-    }
-  } catch (err) {
-    console.error("Tick error:", err);
-  } finally {
-    running = false;
+  for (const [pid, name] of Object.entries(online)) {
+    if (hiddenPlayers[pid]) continue;
+    if (!prev.online?.[pid]) events.push({ type: "join", at: now, name });
   }
+  for (const [pid, name] of Object.entries(prev.online ?? {})) {
+    if (hiddenPlayers[pid]) continue;
+    if (!online[pid]) events.push({ type: "leave", at: now, name });
+  }
+
+  for (const [pid, gid] of Object.entries(members)) {
+    if (hiddenPlayers[pid]) continue;
+    if (prev.members?.[pid] === gid) continue;
+    events.push({
+      type: "guild",
+      at: now,
+      name: names[pid] ?? null,
+      guild: guildName(gid),
+    });
+  }
+
+  const prevCamps = new Set(prev.camps ?? []);
+  for (const c of data.camps) {
+    if (!c.camp_id || prevCamps.has(c.camp_id) || hiddenGuilds[c.guild_id]) continue;
+    events.push({ type: "camp", at: now, guild: guildName(c.guild_id) });
+  }
+
+  return events;
 }
 
-function makePalmapEmbed({ playersCount, campsCount, force = false }) {
-  return new EmbedBuilder()
-    .setTitle("🗺️ Memiroa — Live Map")
-    .setColor(playersCount > 0 ? 0x3ba55d : 0x747f8d)
-    .addFields(
-      { name: "Joueurs", value: `${playersCount}/20`, inline: true },
-      { name: "Bases", value: `${campsCount}`, inline: true },
-      { name: "\u200B", value: "\u200B", inline: true },
-    )
-    .setFooter({ text: "Memiroa Bot • Mise à jour automatique" })
-    .setTimestamp(new Date());
+const EVENT_TYPES = ["join", "leave", "guild", "camp"];
+
+function formatEvent(e, locale) {
+  if (!EVENT_TYPES.includes(e.type)) return null;
+
+  return t(locale, `event.${e.type}`, {
+    when: `<t:${Math.floor(e.at / 1000)}:t>`,
+    name: escapeMarkdown(e.name ?? t(locale, "common.somePlayer")),
+    guild: escapeMarkdown(e.guild ?? t(locale, "common.unknownGuild")),
+  });
 }
 
-// ====== SLASH COMMANDS ======
-client.on("interactionCreate", async (interaction) => {
-  if (!interaction.isChatInputCommand()) return;
-  if (interaction.commandName !== "palmap") return;
+// prefix: nom du serveur Palworld quand le serveur Discord en suit plusieurs
+async function postEvents(entry, events, { prefix = null, locale = DEFAULT_LOCALE } = {}) {
+  if (!entry?.eventsChannelId || events.length === 0) return;
 
-  const sub = interaction.options.getSubcommand();
-  const guildId = interaction.guildId;
+  const channel = await client.channels
+    .fetch(entry.eventsChannelId)
+    .catch(() => null);
+  if (!channel || channel.type !== ChannelType.GuildText) return;
 
-  if (!guildId) {
-    await interaction.reply({
-      content: "Cette commande doit être utilisée dans un serveur.",
-      ephemeral: true,
-    });
-    return;
+  // découpe en messages < 2000 caractères
+  const lines = events
+    .map((e) => formatEvent(e, locale))
+    .filter(Boolean)
+    .map((line) => (prefix ? `**[${escapeMarkdown(prefix)}]** ${line}` : line));
+  let chunk = "";
+  for (const line of lines) {
+    if (chunk && chunk.length + line.length + 1 > 2000) {
+      await channel.send(chunk);
+      chunk = "";
+    }
+    chunk = chunk ? `${chunk}\n${line}` : line;
   }
+  if (chunk) await channel.send(chunk);
+}
 
-  const state = loadState();
-  state.guilds ??= {};
-  state.guilds[guildId] ??= {};
+// ====== RAID ALERTS ======
+// Config par serveur Discord et par serveur Palworld:
+// maps[serverId].alerts = { channelId, radiusM, cooldownMinutes,
+//   roles: { [palGuildId]: roleId }, cooldowns: { "pid|palGuildId": ts } }
+const ALERT_DEFAULTS = { radiusM: 150, cooldownMinutes: 30 };
 
-  if (sub === "add") {
-    const channel = interaction.options.getChannel("channel", true);
+// Joueurs à moins de radiusM d'une base d'une guilde dont ils ne sont pas membres
+// -> une intrusion par (joueur, guilde visée), sur la base la plus proche
+function findIntrusions(data, radiusM) {
+  const hits = new Map();
 
-    if (channel.type !== ChannelType.GuildText) {
-      await interaction.reply({
-        content: "Je peux seulement poster dans un canal texte (GuildText).",
-        ephemeral: true,
+  for (const p of data.players) {
+    const wx = Number(p.location_x ?? 0);
+    const wy = Number(p.location_y ?? 0);
+    if (!wx && !wy) continue;
+
+    const pid = playerIdOf(p);
+    const ownGuild = data.playerToGuild?.[pid] ?? null;
+    const pos = worldToMap(wx, wy);
+
+    for (const c of data.camps) {
+      if (!c.guild_id || c.guild_id === ownGuild) continue;
+      if (typeof c.map_x !== "number" || typeof c.map_y !== "number") continue;
+
+      const meters = mapDistanceMeters(pos, { mapX: c.map_x, mapY: c.map_y });
+      if (meters > radiusM) continue;
+
+      const key = `${pid}|${c.guild_id}`;
+      if (hits.has(key) && hits.get(key).meters <= meters) continue;
+      hits.set(key, {
+        key,
+        pid,
+        name: p.name ?? p.nickname ?? "Player",
+        ownGuild: ownGuild ? (data.guildsJson?.[ownGuild]?.name ?? null) : null,
+        targetGuildId: c.guild_id,
+        targetGuild: c.guild ?? data.guildsJson?.[c.guild_id]?.name ?? null,
+        camp: c,
+        meters,
       });
-      return;
     }
+  }
 
-    state.guilds[guildId].channelId = channel.id;
-    state.guilds[guildId].messageId = null;
-    state.guilds[guildId].lastHash = null;
-    state.guilds[guildId].lastUpdatedAt = null;
+  return [...hits.values()];
+}
 
-    saveState(state);
+async function postRaidAlerts(entry, data, state, locale = DEFAULT_LOCALE) {
+  const alerts = entry?.alerts;
+  if (!alerts?.channelId || !Object.keys(alerts.roles ?? {}).length) return;
 
-    await interaction.reply({
-      content: `✅ Ok, j’attache la live-map à ${channel}.\nJe poste/édite un seul message dans ce canal.`,
-      ephemeral: true,
-    });
+  const now = Date.now();
+  const cooldownMs = (alerts.cooldownMinutes ?? ALERT_DEFAULTS.cooldownMinutes) * 60 * 1000;
+
+  alerts.cooldowns = Object.fromEntries(
+    Object.entries(alerts.cooldowns ?? {}).filter(([, t]) => now - t < cooldownMs),
+  );
+
+  // seulement les guildes qui ont associé un rôle, hors cooldown
+  const intrusions = findIntrusions(
+    data,
+    alerts.radiusM ?? ALERT_DEFAULTS.radiusM,
+  ).filter((i) => alerts.roles[i.targetGuildId] && !alerts.cooldowns[i.key]);
 
-    await tick({ forceGuildId: guildId });
+  if (!intrusions.length) {
+    saveState(state);
     return;
   }
 
-  if (sub === "remove") {
-    const had = !!state.guilds[guildId]?.channelId;
-    delete state.guilds[guildId];
-    saveState(state);
+  const channel = await client.channels.fetch(alerts.channelId).catch(() => null);
+  if (!channel || channel.type !== ChannelType.GuildText) return;
 
-    await interaction.reply({
-      content: had
-        ? "🧹 Live-map détachée pour ce serveur. Je n’éditerai plus rien."
-        : "Il n’y avait pas de live-map attachée sur ce serveur.",
-      ephemeral: true,
+  // un joueur masqué déclenche toujours l'alerte, mais anonymement
+  const { hiddenPlayers = {} } = privacyOf(state, data.serverId);
+
+  for (const i of intrusions) {
+    const roleId = alerts.roles[i.targetGuildId];
+    const who = hiddenPlayers[i.pid]
+      ? `**${t(locale, "common.somePlayer")}**`
+      : i.ownGuild
+        ? `**${escapeMarkdown(i.name)}** (${escapeMarkdown(i.ownGuild)})`
+        : `**${escapeMarkdown(i.name)}**`;
+
+    await channel.send({
+      content: t(locale, "alerts.intrusion", {
+        role: `<@&${roleId}>`,
+        who,
+        distance: formatDistance(i.meters),
+        guild: escapeMarkdown(i.targetGuild ?? t(locale, "common.unknownGuild")),
+        x: Math.round(i.camp.map_x),
+        y: Math.round(i.camp.map_y),
+      }),
+      allowedMentions: { roles: [roleId] },
     });
-    return;
+    alerts.cooldowns[i.key] = now;
   }
 
-  if (sub === "status") {
-    const cfg = state.guilds[guildId];
-    if (!cfg?.channelId) {
-      await interaction.reply({
-        content: "Aucune live-map attachée sur ce serveur.",
-        ephemeral: true,
-      });
-      return;
+  saveState(state);
+}
+
+// Un fetch du serveur Palworld, puis events/alertes pour tous ses suiveurs et
+// live-maps des seuls serveurs Discord guildIds (null = tous). Appelé par le
+// scheduler (voir SCHEDULER), jamais deux fois en même temps pour un serveur.
+// -> { error, failed: Map(guildId -> message) } pour répondre aux forces
+async function runTick(serverId, { guildIds = null, forceGuildIds = [] } = {}) {
+  const result = { error: null, failed: new Map() };
+
+  try {
+    const state = loadState();
+    const followers = Object.entries(state.guilds ?? {}).filter(
+      ([, cfg]) => cfg?.maps?.[serverId],
+    );
+    if (followers.length === 0) return result;
+
+    const start = performance.now();
+    let data;
+    try {
+      data = await fetchSnapshotData(serverId);
+    } catch (err) {
+      console.error(`Fetch error (${serverId}):`, err.message);
+      result.error = err.message;
+      const source = markSourceDown(serverId, err);
+      await Promise.all(
+        followers.map(([guildId]) =>
+          doStaleUpdateForGuild(guildId, serverId, state, source).catch((e) =>
+            console.error(`Stale update error guild ${guildId} (${serverId}):`, e),
+          ),
+        ),
+      );
+      return result;
     }
-    const when = cfg.lastUpdatedAt
-      ? new Date(cfg.lastUpdatedAt).toLocaleString("fr-FR")
-      : "jamais";
-    await interaction.reply({
-      content: `📌 Live-map attachée à <#${cfg.channelId}>\n🧾 Message ID: ${cfg.messageId ?? "pas encore créé"}\n⏱️ Dernier update: ${when}`,
-      ephemeral: true,
-    });
-    return;
+    const fetchMs = performance.now() - start;
+    markSourceUp(serverId);
+    lastData.set(serverId, data);
+
+    // Events: diff une seule fois par fetch, puis envoi à tous les serveurs
+    // (même lors d'un force, sinon les events seraient perdus)
+    const events = collectEvents(data);
+    recordHistory(serverId, data.players, data.camps);
+    recordStats(serverId, data.players, serverIntervalMinutes(serverId, state, Date.now()));
+    // serveurs Discord en parallèle (le rendu, lui, est partagé via renderCache)
+    await Promise.all(
+      followers.map(async ([guildId, cfg]) => {
+        const prefix =
+          Object.keys(cfg.maps).length > 1 ? SERVER_PROFILES[serverId].label : null;
+        const locale = guildLocale(cfg);
+        await postEvents(cfg.maps[serverId], events, { prefix, locale }).catch((err) =>
+          console.error(`Events error guild ${guildId}:`, err),
+        );
+        await postRaidAlerts(cfg.maps[serverId], data, state, locale).catch((err) =>
+          console.error(`Alerts error guild ${guildId}:`, err),
+        );
+      }),
+    );
+
+    const timing = { renders: 0, renderMs: 0, cacheHits: 0 };
+    const updated = followers.filter(([guildId]) => !guildIds || guildIds.includes(guildId));
+    await Promise.all(
+      updated.map(([guildId]) =>
+        doUpdateForGuild(guildId, serverId, state, data, {
+          force: forceGuildIds.includes(guildId),
+          timing,
+        }).catch((err) => {
+          console.error(`Update error guild ${guildId} (${serverId}):`, err);
+          result.failed.set(guildId, err.message);
+        }),
+      ),
+    );
+
+    console.log(
+      `Tick ${serverId}: ${Math.round(performance.now() - start)} ms ` +
+        `(fetch ${Math.round(fetchMs)} ms, ${timing.renders} render(s) ${Math.round(timing.renderMs)} ms, ` +
+        `${timing.cacheHits} cache hit(s), ${updated.length}/${followers.length} guild(s))`,
+    );
+  } catch (err) {
+    console.error(`Tick error (${serverId}):`, err);
+    result.error = err.message;
   }
+  return result;
+}
 
-  if (sub === "force") {
-    const cfg = state.guilds[guildId];
-    if (!cfg?.channelId) {
-      await interaction.reply({
-        content:
-          "Aucune live-map attachée. Fais \`/palmap add #canal\` d’abord.",
-        ephemeral: true,
+// ====== SCHEDULER ======
+// Un timer (setTimeout) par serveur Palworld, réveillé à l'échéance la plus
+// proche parmi les serveurs Discord qui le suivent. Chacun a sa cadence
+// (cfg.schedule, /palmap schedule): activeMinutes avec des joueurs en ligne,
+// idleMinutes serveur vide, quietMinutes pendant les heures creuses
+// [quietStart, quietEnd[ (heure du fuseau timezone; 0 = en pause).
+// Les forces (/palmap force, bouton, changement de config) sont mis en file
+// et servis par la boucle en cours au lieu d'être ignorés.
+const SCHEDULE_MAX_MINUTES = 240;
+// filet de sécurité: réévalue au moins toutes les heures (changement d'heure…)
+const SCHEDULE_MAX_SLEEP_MS = 60 * 60 * 1000;
+
+// serverId -> { timer, nextAt, lastRuns: Map(guildId -> t), forces: Map(guildId -> [resolve]) }
+const schedules = new Map();
+
+function scheduleOf(serverId) {
+  if (!schedules.has(serverId)) {
+    schedules.set(serverId, { timer: null, nextAt: null, lastRuns: new Map(), forces: new Map() });
+  }
+  return schedules.get(serverId);
+}
+
+function getSchedule(cfg, profile) {
+  return {
+    activeMinutes: profile.intervalMinutes,
+    idleMinutes: Math.min(profile.intervalMinutes * SCHEDULE_IDLE_FACTOR, SCHEDULE_MAX_MINUTES),
+    quietStart: null,
+    quietEnd: null,
+    quietMinutes: 0,
+    timezone: SCHEDULE_TIMEZONE,
+    ...(cfg?.schedule ?? {}),
+  };
+}
+
+const hourFormats = new Map(); // timezone -> Intl.DateTimeFormat
+
+// null si le fuseau est inconnu
+function hourFormatFor(timezone) {
+  if (!hourFormats.has(timezone)) {
+    let format = null;
+    try {
+      format = new Intl.DateTimeFormat("en-GB", {
+        timeZone: timezone,
+        hour: "numeric",
+        hourCycle: "h23",
       });
-      return;
+    } catch {
+      // RangeError: fuseau inconnu
     }
+    hourFormats.set(timezone, format);
+  }
+  return hourFormats.get(timezone);
+}
 
-    await interaction.reply({
-      content: "⚡ Update forcé en cours…",
-      ephemeral: true,
-    });
-    await tick({ forceGuildId: guildId });
-    return;
+// [start, end[ en heures du fuseau, à cheval sur minuit si start > end
+function isQuietHour(schedule, now) {
+  const { quietStart: start, quietEnd: end } = schedule;
+  if (start === null || end === null || start === end) return false;
+  const format = hourFormatFor(schedule.timezone) ?? hourFormatFor(HOST_TIMEZONE);
+  const hour = Number(format.format(now));
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+// Premier quart d'heure hors heures creuses: tous les fuseaux sont décalés
+// d'un multiple de 15 min, et un changement d'heure ne fait rien sauter
+const QUARTER_HOUR_MS = 15 * 60 * 1000;
+
+function quietEndAt(schedule, now) {
+  let at = Math.ceil((now + 1) / QUARTER_HOUR_MS) * QUARTER_HOUR_MS;
+  for (let i = 0; i < 4 * 48 && isQuietHour(schedule, at); i++) at += QUARTER_HOUR_MS;
+  return at;
+}
+
+// Cadence actuelle d'un serveur Discord pour ce serveur Palworld (0 = en pause).
+// Sans données (démarrage, serveur injoignable): cadence "joueurs en ligne".
+function guildIntervalMinutes(cfg, serverId, now) {
+  const schedule = getSchedule(cfg, SERVER_PROFILES[serverId]);
+  if (isQuietHour(schedule, now)) return schedule.quietMinutes;
+
+  const data = lastData.get(serverId);
+  const down = loadState().servers?.[serverId]?.source?.downSince;
+  const empty = data && !down && data.players.length === 0;
+  return empty ? schedule.idleMinutes : schedule.activeMinutes;
+}
+
+// Écart attendu entre deux fetchs: la cadence la plus rapide des suiveurs
+function serverIntervalMinutes(serverId, state, now) {
+  const intervals = Object.values(state.guilds ?? {})
+    .filter((cfg) => cfg?.maps?.[serverId])
+    .map((cfg) => guildIntervalMinutes(cfg, serverId, now))
+    .filter((m) => m > 0);
+  return intervals.length ? Math.min(...intervals) : SERVER_PROFILES[serverId].intervalMinutes;
+}
+
+// Prochaine échéance d'un serveur Discord: null = en pause jusqu'à `resumeAt`
+function guildDueAt(cfg, serverId, now) {
+  const minutes = guildIntervalMinutes(cfg, serverId, now);
+  if (!minutes) {
+    return { dueAt: null, resumeAt: quietEndAt(getSchedule(cfg, SERVER_PROFILES[serverId]), now) };
   }
-});
+  const last = scheduleOf(serverId).lastRuns.get(cfg.guildId) ?? 0;
+  return { dueAt: last + minutes * 60 * 1000, resumeAt: null };
+}
 
-client.once(Events.ClientReady, async () => {
-  console.log(`Logged as ${client.user.tag}`);
+function followersOf(serverId) {
+  return Object.entries(loadState().guilds ?? {})
+    .filter(([, cfg]) => cfg?.maps?.[serverId])
+    .map(([guildId, cfg]) => ({ ...cfg, guildId }));
+}
 
-  await tick();
-  setInterval(() => tick(), INTERVAL_MINUTES * 60 * 1000);
-});
+function scheduleNext(serverId) {
+  const schedule = scheduleOf(serverId);
+  clearTimeout(schedule.timer);
+  schedule.timer = null;
+  schedule.nextAt = null;
+
+  const now = Date.now();
+  const wakeups = followersOf(serverId).map((cfg) => {
+    const { dueAt, resumeAt } = guildDueAt(cfg, serverId, now);
+    return dueAt ?? resumeAt;
+  });
+  if (!wakeups.length) return; // plus suivi: relancé par le prochain force (/palmap add)
+
+  schedule.nextAt = Math.min(...wakeups);
+  schedule.timer = setTimeout(
+    () => runSchedule(serverId),
+    Math.min(Math.max(0, schedule.nextAt - now), SCHEDULE_MAX_SLEEP_MS),
+  );
+}
+
+function rescheduleAll() {
+  for (const serverId of SERVER_IDS) {
+    if (!running.has(serverId)) scheduleNext(serverId);
+  }
+}
+
+// Tant qu'il y a des serveurs Discord à l'échéance ou des forces en file
+async function runSchedule(serverId) {
+  if (running.has(serverId)) return; // la boucle en cours reprendra la file
+  running.add(serverId);
+  const schedule = scheduleOf(serverId);
+  clearTimeout(schedule.timer);
+
+  try {
+    for (;;) {
+      const now = Date.now();
+      const forces = schedule.forces;
+      schedule.forces = new Map();
+      const due = followersOf(serverId)
+        .filter((cfg) => {
+          const { dueAt } = guildDueAt(cfg, serverId, now);
+          return dueAt !== null && dueAt <= now;
+        })
+        .map((cfg) => cfg.guildId);
+      if (!forces.size && !due.length) break;
+
+      const forceGuildIds = [...forces.keys()];
+      const guildIds = [...new Set([...due, ...forceGuildIds])];
+      const result = await runTick(serverId, { guildIds, forceGuildIds });
+
+      for (const guildId of guildIds) schedule.lastRuns.set(guildId, now);
+      for (const [guildId, waiters] of forces) {
+        const error = result.error ?? result.failed.get(guildId) ?? null;
+        for (const resolve of waiters) resolve({ ok: !error, error });
+      }
+    }
+  } finally {
+    running.delete(serverId);
+    scheduleNext(serverId);
+  }
+}
+
+// Sans forceGuildId: passe les échéances dues. Avec: update forcé mis en file,
+// résolu après son passage -> { ok, error } (jamais rejeté)
+function tick(serverId, { forceGuildId = null } = {}) {
+  let done = Promise.resolve(null);
+  if (forceGuildId) {
+    const forces = scheduleOf(serverId).forces;
+    done = new Promise((resolve) => {
+      forces.set(forceGuildId, [...(forces.get(forceGuildId) ?? []), resolve]);
+    });
+  }
+  runSchedule(serverId);
+  return done;
+}
+
+function makePalmapEmbed({
+  profile,
+  playersCount,
+  campsCount,
+  force = false,
+  downSince = null,
+  staff = false,
+  privacy = null,
+  locale = DEFAULT_LOCALE,
+}) {
+  const embed = new EmbedBuilder()
+    .setTitle(`🗺️ ${profile.label} — Live Map`)
+    .setURL(
+      WEB_PUBLIC_URL
+        ? `${WEB_PUBLIC_URL}?server=${encodeURIComponent(profile.id)}`
+        : null,
+    )
+    .setColor(downSince ? 0xed4245 : playersCount > 0 ? 0x3ba55d : 0x747f8d)
+    .addFields(
+      {
+        name: t(locale, "embed.players"),
+        value: `${playersCount}/${profile.maxPlayers}`,
+        inline: true,
+      },
+      { name: t(locale, "embed.camps"), value: `${campsCount}`, inline: true },
+      { name: "\u200B", value: "\u200B", inline: true },
+    )
+    .setFooter({ text: t(locale, "embed.footer") })
+    .setTimestamp(new Date());
+
+  const description = [];
+  if (downSince) {
+    description.push(
+      t(locale, "embed.down", { since: `<t:${Math.floor(downSince / 1000)}:t>` }),
+    );
+  }
+  if (staff) description.push(t(locale, "embed.staff"));
+  if (privacy?.delayMinutes > 0) {
+    description.push(t(locale, "privacy.delay", { minutes: privacy.delayMinutes }));
+  }
+  if (privacy?.fuzzM > 0) {
+    description.push(t(locale, "privacy.fuzz", { meters: privacy.fuzzM }));
+  }
+  if (description.length) embed.setDescription(description.join("\n"));
+  return embed;
+}
+
+// ====== WEB LIVE MAP ======
+// Sert uniquement les données en cache (lastData / lastRenders): aucun appel
+// aux APIs Palworld par visiteur. ?server=<id> choisit le profil.
+const WEB_INDEX = path.resolve(__dirname, "web/index.html");
+const WEB_BASE_SIZE = 4096;
+
+let webBaseMap = null; // { buf, srcW, srcH }
+
+async function getWebBaseMap() {
+  if (webBaseMap) return webBaseMap;
+
+  const meta = await sharp(ASSETS.map).metadata();
+  const buf = await sharp(ASSETS.map)
+    .resize(WEB_BASE_SIZE, WEB_BASE_SIZE, { fit: "fill" })
+    .jpeg({ quality: 80, mozjpeg: true })
+    .toBuffer();
+
+  webBaseMap = {
+    buf,
+    srcW: meta.width ?? 8192,
+    srcH: meta.height ?? 8192,
+  };
+  return webBaseMap;
+}
+
+// Textes de la page web, dans la langue demandée (?lang=, sinon BOT_LOCALE)
+const WEB_STRING_KEYS = {
+  players: "embed.players",
+  camps: "embed.camps",
+  legendTitle: "render.legendTitle",
+  camp: "web.camp",
+  noGuild: "web.noGuild",
+  playerCount: "web.playerCount",
+  waiting: "web.waiting",
+};
+
+function webStrings(locale) {
+  return Object.fromEntries(
+    Object.entries(WEB_STRING_KEYS).map(([name, key]) => [name, t(locale, key)]),
+  );
+}
+
+async function buildWebSnapshot(serverId, locale = DEFAULT_LOCALE) {
+  const { srcW, srcH } = await getWebBaseMap();
+  const state = loadState();
+  const server = state.servers?.[serverId];
+  const colors = { ...server?.guildColors, ...server?.customColors };
+  const data = publicView(state, serverId, lastData.get(serverId));
+
+  const guildName = (gid) => data?.guildsJson?.[gid]?.name ?? null;
+
+  return {
+    locale,
+    intlLocale: INTL_LOCALES[locale],
+    strings: webStrings(locale),
+    server: { id: serverId, label: SERVER_PROFILES[serverId].label },
+    servers: SERVER_IDS.map((id) => ({ id, label: SERVER_PROFILES[id].label })),
+    updatedAt: data?.fetchedAt ? new Date(data.fetchedAt).toISOString() : null,
+    calibration: { worldToMap: WORLD_TO_MAP, mapToPx: MAP_TO_PX, srcW, srcH },
+    players: (data?.players ?? [])
+      .map((p) => {
+        const gid = data.playerToGuild?.[playerIdOf(p)] ?? null;
+        return {
+          name: p.name ?? p.nickname ?? "Player",
+          guild: gid ? guildName(gid) : null,
+          color: gid ? (colors[gid] ?? "#FFFFFF") : "#FFFFFF",
+          x: Number(p.location_x ?? 0),
+          y: Number(p.location_y ?? 0),
+        };
+      })
+      .filter((p) => p.x || p.y),
+    camps: (data?.camps ?? [])
+      .filter((c) => typeof c.map_x === "number" && typeof c.map_y === "number")
+      .map((c) => ({
+        guild: c.guild ?? null,
+        color: colors[c.guild_id] ?? "#FFFFFF",
+        mapX: c.map_x,
+        mapY: c.map_y,
+      })),
+    legend: (data?.legendGuilds ?? []).map((g) => ({
+      name: g.name,
+      campCount: g.campCount,
+      color: g.color,
+    })),
+    poi: {
+      categories: loadPoiOnce().categories,
+      points: selectPoi().map((p) => ({
+        category: p.category,
+        name: p.name ?? null,
+        ...worldToMap(p.x, p.y),
+      })),
+    },
+  };
+}
+
+function sendWeb(res, status, type, body) {
+  res.writeHead(status, {
+    "Content-Type": type,
+    "Cache-Control": "no-cache",
+  });
+  res.end(body);
+}
+
+async function handleWebRequest(req, res) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    return sendWeb(res, 405, "text/plain; charset=utf-8", "Method Not Allowed");
+  }
+
+  const { pathname, searchParams } = new URL(req.url ?? "/", "http://localhost");
+  const serverId = searchParams.get("server") ?? SERVER_IDS[0];
+  if (!SERVER_PROFILES[serverId]) {
+    return sendWeb(res, 404, "text/plain; charset=utf-8", "Serveur inconnu");
+  }
+
+  switch (pathname) {
+    case "/":
+    case "/index.html":
+      return sendWeb(
+        res,
+        200,
+        "text/html; charset=utf-8",
+        fs.readFileSync(WEB_INDEX),
+      );
+
+    case "/api/snapshot": {
+      const lang = searchParams.get("lang");
+      const locale = LOCALES.includes(lang) ? lang : DEFAULT_LOCALE;
+      return sendWeb(
+        res,
+        200,
+        "application/json; charset=utf-8",
+        JSON.stringify(await buildWebSnapshot(serverId, locale)),
+      );
+    }
+
+    case "/map": {
+      const lastRender = lastRenders.get(serverId);
+      if (!lastRender) {
+        return sendWeb(res, 503, "text/plain; charset=utf-8", "Pas encore de rendu");
+      }
+      const type = `image/${lastRender.format === "jpeg" ? "jpeg" : lastRender.format}`;
+      return sendWeb(res, 200, type, lastRender.buf);
+    }
+
+    case "/base.jpg":
+      return sendWeb(res, 200, "image/jpeg", (await getWebBaseMap()).buf);
+
+    default:
+      return sendWeb(res, 404, "text/plain; charset=utf-8", "Not Found");
+  }
+}
+
+function startWebServer() {
+  const server = http.createServer((req, res) => {
+    handleWebRequest(req, res).catch((err) => {
+      console.error("Web error:", err);
+      if (!res.headersSent) sendWeb(res, 500, "text/plain; charset=utf-8", "Erreur");
+      else res.end();
+    });
+  });
+
+  server.listen(WEB_PORT, WEB_HOST, () => {
+    console.log(`Web live map on http://${WEB_HOST}:${WEB_PORT}`);
+    if (!["127.0.0.1", "::1", "localhost"].includes(WEB_HOST)) {
+      console.warn(
+        `⚠️ Carte web accessible sans authentification sur ${WEB_HOST} (WEB_HOST): réserve-la à un réseau de confiance ou passe par un reverse proxy`,
+      );
+    }
+  });
+  return server;
+}
+
+// ====== SLASH COMMANDS ======
+function describeRenderOptions(options, locale) {
+  const onOff = (v) => (v ? "✅" : "❌");
+  return [
+    t(locale, "options.layers", {
+      players: onOff(options.players),
+      names: onOff(options.names),
+      camps: onOff(options.camps),
+      legend: onOff(options.legend),
+    }),
+    t(locale, "options.staleGrey", { value: onOff(options.staleGreyscale) }),
+    t(locale, "options.grid", {
+      value: onOff(options.grid),
+      step: options.gridStep > 0 ? options.gridStep : t(locale, "options.grid.auto"),
+    }),
+    t(locale, "options.territory", {
+      value: onOff(options.territory),
+      mode: t(locale, `options.territory.${options.territoryMode === "hull" ? "hull" : "circles"}`),
+      radius: options.territoryRadius,
+    }),
+    t(locale, "options.poi", {
+      value: onOff(options.poi),
+      categories: options.poiCategories.length
+        ? options.poiCategories
+            .map((c) => loadPoiOnce().categories[c]?.label ?? c)
+            .join(", ")
+        : t(locale, "options.poi.all"),
+    }),
+    t(locale, "options.legend", {
+      position: options.legendPosition,
+      title: escapeMarkdown(options.legendTitle),
+    }),
+    t(locale, "options.labelSize", { size: options.labelSize }),
+    t(locale, options.format === "png" ? "options.image" : "options.image.quality", {
+      size: options.size,
+      format: options.format,
+      quality: options.quality,
+    }),
+    t(locale, "options.language", { language: LANGUAGE_NAMES[options.locale] }),
+  ].join("\n");
+}
+
+async function handleConfigCommand(interaction, state, guildId) {
+  const sub = interaction.options.getSubcommand();
+  const cfg = state.guilds[guildId];
+  const locale = userLocale(interaction, cfg);
+  const describe = () => describeRenderOptions(getRenderOptions(cfg), locale);
+
+  if (sub === "show") {
+    await interaction.reply({
+      content: t(locale, "config.show", { options: describe() }),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  if (sub === "reset") {
+    delete cfg.render;
+    invalidateMaps(cfg); // re-render au prochain tick
+    saveState(state);
+
+    await interaction.reply({
+      content: t(locale, "config.reset", { options: describe() }),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  if (sub === "set") {
+    const o = interaction.options;
+    const updates = {
+      players: o.getBoolean("players"),
+      names: o.getBoolean("names"),
+      camps: o.getBoolean("camps"),
+      territory: o.getBoolean("territory"),
+      territoryMode: o.getString("territory_mode"),
+      territoryRadius: o.getInteger("territory_radius"),
+      legend: o.getBoolean("legend"),
+      legendPosition: o.getString("legend_position"),
+      legendTitle: o.getString("legend_title"),
+      labelSize: o.getInteger("label_size"),
+      size: o.getInteger("size"),
+      format: o.getString("format"),
+      quality: o.getInteger("quality"),
+      poi: o.getBoolean("poi"),
+      grid: o.getBoolean("grid"),
+      gridStep: o.getInteger("grid_step"),
+      staleGreyscale: o.getBoolean("stale_grey"),
+      locale: o.getString("language"),
+      poiCategories: null,
+    };
+
+    // "tower,…" (catégories de assets/poi.json) ou "all"
+    const poiCategories = o.getString("poi_categories");
+    if (poiCategories !== null) {
+      const known = Object.keys(loadPoiOnce().categories);
+      const wanted = poiCategories
+        .split(/[\s,]+/)
+        .map((c) => c.trim().toLowerCase())
+        .filter(Boolean);
+      const unknown = wanted.filter((c) => c !== "all" && !known.includes(c));
+
+      if (unknown.length) {
+        await interaction.reply({
+          content: t(locale, "config.unknownPoi", {
+            unknown: unknown.map((c) => `\`${escapeMarkdown(c)}\``).join(", "),
+            known: known.map((c) => `\`${c}\``).join(", "),
+          }),
+          ephemeral: true,
+        });
+        return;
+      }
+      updates.poiCategories = wanted.includes("all") ? [] : [...new Set(wanted)];
+    }
+
+    const changed = Object.entries(updates).filter(([, v]) => v !== null);
+    if (!changed.length) {
+      await interaction.reply({
+        content: t(locale, "config.nothing"),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    cfg.render ??= {};
+    for (const [key, value] of changed) cfg.render[key] = value;
+    invalidateMaps(cfg); // re-render au prochain tick
+    saveState(state);
+
+    // 8192 px en PNG: au-delà de la limite d'upload la plupart du temps
+    const options = getRenderOptions(cfg);
+    const heavy = options.size >= 8192 && options.format === "png";
+
+    await interaction.reply({
+      content: [
+        t(locale, "config.updated", { options: describe() }),
+        heavy && t(locale, "config.tooHeavy", { size: options.size }),
+      ]
+        .filter(Boolean)
+        .join("\n"),
+      ephemeral: true,
+    });
+  }
+}
+
+function describeSource(source, locale) {
+  const ts = (at, style) => `<t:${Math.floor(at / 1000)}:${style}>`;
+  const lines = [
+    source?.downSince
+      ? t(locale, "source.down", { since: ts(source.downSince, "t") })
+      : source?.lastOkAt
+        ? t(locale, "source.ok", { when: ts(source.lastOkAt, "R") })
+        : t(locale, "source.never"),
+  ];
+  if (source?.lastError) {
+    lines.push(
+      t(locale, "source.lastError", {
+        when: ts(source.lastErrorAt, "R"),
+        error: source.lastError.replaceAll("`", "'").slice(0, 300),
+      }),
+    );
+  }
+  return lines.join("\n");
+}
+
+function describeAlerts(alerts, data, locale) {
+  if (!alerts?.channelId) return t(locale, "alerts.disabled");
+
+  const roles = Object.entries(alerts.roles ?? {}).map(
+    ([gid, roleId]) =>
+      `• ${escapeMarkdown(data?.guildsJson?.[gid]?.name ?? gid)} → <@&${roleId}>`,
+  );
+  return [
+    t(locale, "alerts.summary", {
+      channel: `<#${alerts.channelId}>`,
+      radius: alerts.radiusM ?? ALERT_DEFAULTS.radiusM,
+      cooldown: alerts.cooldownMinutes ?? ALERT_DEFAULTS.cooldownMinutes,
+    }),
+    ...(roles.length ? roles : [t(locale, "alerts.noRoles")]),
+  ].join("\n");
+}
+
+async function handleAlertsCommand(interaction, state, cfg, serverId) {
+  const sub = interaction.options.getSubcommand();
+  const profile = SERVER_PROFILES[serverId];
+  const data = lastData.get(serverId);
+  const locale = userLocale(interaction, cfg);
+
+  if (sub === "off") {
+    const had = !!cfg.maps[serverId]?.alerts?.channelId;
+    if (cfg.maps[serverId]) delete cfg.maps[serverId].alerts;
+    saveState(state);
+
+    await interaction.reply({
+      content: had
+        ? t(locale, "alerts.off", { server: escapeMarkdown(profile.label) })
+        : t(locale, "alerts.offNone"),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  if (sub === "set") {
+    const channel = interaction.options.getChannel("channel", true);
+    if (channel.type !== ChannelType.GuildText) {
+      await interaction.reply({
+        content: t(locale, "common.textChannelOnly"),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    cfg.maps[serverId] ??= {};
+    const alerts = (cfg.maps[serverId].alerts ??= { roles: {}, cooldowns: {} });
+    alerts.channelId = channel.id;
+    alerts.radiusM =
+      interaction.options.getInteger("radius") ?? alerts.radiusM ?? ALERT_DEFAULTS.radiusM;
+    alerts.cooldownMinutes =
+      interaction.options.getInteger("cooldown") ??
+      alerts.cooldownMinutes ??
+      ALERT_DEFAULTS.cooldownMinutes;
+    saveState(state);
+
+    await interaction.reply({
+      content: `✅ **${escapeMarkdown(profile.label)}**\n${describeAlerts(alerts, data, locale)}`,
+      ephemeral: true,
+    });
+    return;
+  }
+
+  if (sub === "role") {
+    const alerts = cfg.maps[serverId]?.alerts;
+    if (!alerts?.channelId) {
+      await interaction.reply({
+        content: t(locale, "alerts.setFirst"),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    const guildName = interaction.options.getString("guild", true);
+    const palGuild = findGuildByName(data?.guildsJson, guildName);
+    if (!palGuild) {
+      await interaction.reply({
+        content: t(locale, "common.guildNotFound", { name: escapeMarkdown(guildName) }),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    const role = interaction.options.getRole("role");
+    alerts.roles ??= {};
+    if (role) alerts.roles[palGuild.id] = role.id;
+    else delete alerts.roles[palGuild.id];
+    saveState(state);
+
+    await interaction.reply({
+      content: role
+        ? t(locale, "alerts.roleSet", { guild: escapeMarkdown(palGuild.name), role })
+        : t(locale, "alerts.roleRemoved", { guild: escapeMarkdown(palGuild.name) }),
+      ephemeral: true,
+    });
+  }
+}
+
+function describePrivacy(privacy, locale) {
+  const pending = Object.keys(privacy.pendingLinks ?? {}).length;
+  return [
+    t(locale, "privacy.summary", {
+      players: Object.keys(privacy.hiddenPlayers ?? {}).length,
+      guilds: Object.keys(privacy.hiddenGuilds ?? {}).length,
+    }),
+    pending > 0 && t(locale, "privacy.pendingCount", { count: pending }),
+    privacy.delayMinutes > 0
+      ? t(locale, "privacy.delay", { minutes: privacy.delayMinutes })
+      : t(locale, "privacy.realtime"),
+    privacy.fuzzM > 0
+      ? t(locale, "privacy.fuzz", { meters: privacy.fuzzM })
+      : t(locale, "privacy.exact"),
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+// /palprivacy est ouverte à tous les membres; /palmap demande Gérer le serveur
+// sauf pour les consultations ci-dessous, que les admins peuvent ouvrir aux
+// joueurs via les permissions de commande de Discord
+const COMMAND_NAMES = ["palmap", "palprivacy"];
+const PLAYER_SUBCOMMANDS = ["where", "zoom", "stats", "heatmap", "timelapse"];
+
+function isStaffOnly(interaction) {
+  return (
+    interaction.commandName === "palmap" &&
+    (interaction.options.getSubcommandGroup(false) !== null ||
+      !PLAYER_SUBCOMMANDS.includes(interaction.options.getSubcommand()))
+  );
+}
+
+async function handlePrivacyCommand(interaction, state, cfg, serverId) {
+  const sub = interaction.options.getSubcommand();
+  const profile = SERVER_PROFILES[serverId];
+  const data = lastData.get(serverId);
+  const locale = userLocale(interaction, cfg);
+  const server = getServerState(state, serverId);
+  const privacy = (server.privacy ??= {});
+  const serverLabel = escapeMarkdown(profile.label);
+  const playerName = (pid) => {
+    const live = data?.players?.find((p) => playerIdOf(p) === pid);
+    return (
+      live?.name ??
+      live?.nickname ??
+      server.lastSeen?.names?.[pid] ??
+      server.stats?.players?.[pid]?.name ??
+      pid
+    );
+  };
+  // pseudo connu, sinon ID joueur brut (avec ou sans tirets)
+  const playerIdFor = (input) => {
+    const raw = input.trim();
+    const found = lookupPlayer(state, serverId, data, raw);
+    return found?.pid ?? (/^[0-9a-f-]{8,}$/i.test(raw) ? normalizePalId(raw) : null);
+  };
+  const ownersOf = (pid, exceptUserId) =>
+    Object.keys(privacy.links ?? {}).filter(
+      (userId) => privacy.links[userId] === pid && userId !== exceptUserId,
+    );
+
+  if (sub === "link") {
+    const input = interaction.options.getString("player", true);
+    const pid = playerIdFor(input);
+    if (!pid) {
+      await interaction.reply({
+        content: t(locale, "privacy.notFound", { name: escapeMarkdown(input) }),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    const name = escapeMarkdown(playerName(pid));
+    if (privacy.links?.[interaction.user.id] === pid) {
+      await interaction.reply({
+        content: t(locale, "privacy.linked", { name, pid, server: serverLabel }),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    // le bot ne peut pas prouver qui joue quel personnage: le staff valide
+    // chaque demande (/palmap privacy approve), y compris celles qui
+    // contestent un lien existant
+    privacy.pendingLinks ??= {};
+    privacy.pendingLinks[interaction.user.id] = { pid, at: Date.now() };
+    saveState(state);
+
+    await interaction.reply({
+      content: t(
+        locale,
+        ownersOf(pid, interaction.user.id).length > 0
+          ? "privacy.linkContested"
+          : "privacy.linkRequested",
+        { name, server: serverLabel },
+      ),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  if (sub === "approve") {
+    const user = interaction.options.getUser("user", true);
+    const input = interaction.options.getString("player");
+    const pid = input ? playerIdFor(input) : privacy.pendingLinks?.[user.id]?.pid;
+    if (!pid) {
+      await interaction.reply({
+        content: input
+          ? t(locale, "privacy.notFound", { name: escapeMarkdown(input) })
+          : t(locale, "privacy.noPending", { user, server: serverLabel }),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    // un joueur n'a qu'un compte lié: la décision du staff remplace l'ancien
+    const replaced = ownersOf(pid, user.id);
+    for (const userId of replaced) delete privacy.links[userId];
+    privacy.links ??= {};
+    privacy.links[user.id] = pid;
+    delete privacy.pendingLinks?.[user.id];
+    saveState(state);
+
+    await interaction.reply({
+      content: [
+        t(locale, "privacy.approved", {
+          user,
+          name: escapeMarkdown(playerName(pid)),
+          pid,
+          server: serverLabel,
+        }),
+        replaced.length > 0 &&
+          t(locale, "privacy.replaced", {
+            users: replaced.map((userId) => `<@${userId}>`).join(", "),
+          }),
+      ]
+        .filter(Boolean)
+        .join("\n"),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  if (sub === "reject") {
+    const user = interaction.options.getUser("user", true);
+    const request = privacy.pendingLinks?.[user.id];
+    if (!request) {
+      await interaction.reply({
+        content: t(locale, "privacy.noPending", { user, server: serverLabel }),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    delete privacy.pendingLinks[user.id];
+    saveState(state);
+
+    await interaction.reply({
+      content: t(locale, "privacy.rejected", {
+        user,
+        name: escapeMarkdown(playerName(request.pid)),
+      }),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  if (sub === "pending") {
+    const requests = Object.entries(privacy.pendingLinks ?? {}).sort(
+      ([, a], [, b]) => a.at - b.at,
+    );
+    if (requests.length === 0) {
+      await interaction.reply({
+        content: t(locale, "privacy.pendingNone", { server: serverLabel }),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    const lines = requests.slice(0, PRIVACY_PENDING_LIST_MAX).map(([userId, request]) => {
+      const owners = ownersOf(request.pid, userId);
+      return t(locale, owners.length > 0 ? "privacy.pendingTaken" : "privacy.pendingLine", {
+        user: `<@${userId}>`,
+        name: escapeMarkdown(playerName(request.pid)),
+        pid: request.pid,
+        when: `<t:${Math.floor(request.at / 1000)}:R>`,
+        owners: owners.map((id) => `<@${id}>`).join(", "),
+      });
+    });
+    if (requests.length > PRIVACY_PENDING_LIST_MAX) {
+      lines.push(
+        t(locale, "privacy.pendingMore", { count: requests.length - PRIVACY_PENDING_LIST_MAX }),
+      );
+    }
+
+    await interaction.reply({
+      content: t(locale, "privacy.pending", { server: serverLabel, lines: lines.join("\n") }),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  if (sub === "hide" || sub === "show") {
+    const pid = privacy.links?.[interaction.user.id];
+    if (!pid) {
+      await interaction.reply({
+        content: t(locale, "privacy.notLinked"),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    privacy.hiddenPlayers ??= {};
+    if (sub === "hide") privacy.hiddenPlayers[pid] = true;
+    else delete privacy.hiddenPlayers[pid];
+    saveState(state);
+
+    await interaction.reply({
+      content: t(locale, sub === "hide" ? "privacy.hidden" : "privacy.shown", {
+        name: escapeMarkdown(playerName(pid)),
+        server: serverLabel,
+      }),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  if (sub === "unlink") {
+    const user = interaction.options.getUser("user", true);
+    const pid = privacy.links?.[user.id];
+    const hadRequest = !!privacy.pendingLinks?.[user.id];
+    delete privacy.pendingLinks?.[user.id];
+    if (!pid) {
+      if (hadRequest) saveState(state);
+      await interaction.reply({
+        content: t(locale, "privacy.unlinkedNone", { user, server: serverLabel }),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    // le masquage avait été demandé par ce membre: il part avec le lien
+    delete privacy.links[user.id];
+    delete privacy.hiddenPlayers?.[pid];
+    saveState(state);
+
+    await interaction.reply({
+      content: t(locale, "privacy.unlinked", { user, pid }),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  if (sub === "camps") {
+    const guildName = interaction.options.getString("guild", true);
+    const palGuild = findGuildByName(data?.guildsJson, guildName);
+    if (!palGuild) {
+      await interaction.reply({
+        content: t(locale, "common.guildNotFound", { name: escapeMarkdown(guildName) }),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    const hidden = interaction.options.getBoolean("hidden", true);
+    privacy.hiddenGuilds ??= {};
+    if (hidden) privacy.hiddenGuilds[palGuild.id] = true;
+    else delete privacy.hiddenGuilds[palGuild.id];
+    saveState(state);
+
+    await interaction.reply({
+      content: t(locale, hidden ? "privacy.campsHidden" : "privacy.campsShown", {
+        guild: escapeMarkdown(palGuild.name ?? palGuild.id),
+        server: serverLabel,
+      }),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  if (sub === "public") {
+    const delay = interaction.options.getInteger("delay");
+    const fuzz = interaction.options.getInteger("fuzz");
+    if (delay === null && fuzz === null) {
+      await interaction.reply({
+        content: t(locale, "privacy.nothing"),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    if (delay !== null) {
+      privacy.delayMinutes = Math.min(delay, PRIVACY_MAX_DELAY_MINUTES, HISTORY_HOURS * 60);
+    }
+    if (fuzz !== null) privacy.fuzzM = fuzz;
+    saveState(state);
+
+    await interaction.reply({
+      content: t(locale, "privacy.public", {
+        server: serverLabel,
+        summary: describePrivacy(privacy, locale),
+      }),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  if (sub === "staff") {
+    const channel = interaction.options.getChannel("channel");
+
+    if (!channel) {
+      const had = !!cfg.maps[serverId]?.staff;
+      if (cfg.maps[serverId]) delete cfg.maps[serverId].staff;
+      saveState(state);
+
+      await interaction.reply({
+        content: had
+          ? t(locale, "privacy.staffOff", { server: serverLabel })
+          : t(locale, "privacy.staffOffNone"),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    if (channel.type !== ChannelType.GuildText) {
+      await interaction.reply({
+        content: t(locale, "common.textChannelOnly"),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    cfg.maps[serverId] ??= {};
+    cfg.maps[serverId].staff = {
+      channelId: channel.id,
+      messageId: null,
+      lastHash: null,
+      lastUpdatedAt: null,
+    };
+    saveState(state);
+
+    await interaction.reply({
+      content: t(locale, "privacy.staffOn", { server: serverLabel, channel }),
+      ephemeral: true,
+    });
+
+    await tick(serverId, { forceGuildId: interaction.guildId });
+  }
+}
+
+// options de /palmap schedule -> clés de cfg.schedule (voir SCHEDULER)
+const SCHEDULE_OPTIONS = {
+  active: "activeMinutes",
+  idle: "idleMinutes",
+  quiet_start: "quietStart",
+  quiet_end: "quietEnd",
+  quiet: "quietMinutes",
+};
+
+function describeServerSchedule(cfg, guildId, serverId, locale) {
+  const schedule = getSchedule(cfg, SERVER_PROFILES[serverId]);
+  const ts = (at) => `<t:${Math.floor(at / 1000)}:R>`;
+  const now = Date.now();
+
+  let next = t(locale, "schedule.nextNone");
+  if (cfg?.maps?.[serverId] && schedules.has(serverId)) {
+    const { dueAt, resumeAt } = guildDueAt({ ...cfg, guildId }, serverId, now);
+    next = dueAt !== null
+      ? ts(Math.max(dueAt, scheduleOf(serverId).nextAt ?? now, now)) // en retard: maintenant
+      : t(locale, "schedule.nextPaused", { when: ts(resumeAt) });
+  }
+
+  return t(locale, "schedule.server", {
+    server: escapeMarkdown(SERVER_PROFILES[serverId].label),
+    active: schedule.activeMinutes,
+    idle: schedule.idleMinutes,
+    next,
+  });
+}
+
+function describeQuietHours(cfg, locale) {
+  const schedule = getSchedule(cfg, SERVER_PROFILES[SERVER_IDS[0]]);
+  if (schedule.quietStart === null || schedule.quietStart === schedule.quietEnd) {
+    return t(locale, "schedule.quietOff");
+  }
+  return t(locale, "schedule.quiet", {
+    start: schedule.quietStart,
+    end: schedule.quietEnd,
+    timezone: schedule.timezone,
+    cadence: schedule.quietMinutes
+      ? t(locale, "schedule.every", { minutes: schedule.quietMinutes })
+      : t(locale, "schedule.paused"),
+  });
+}
+
+// Cadence par serveur Discord (tous ses serveurs Palworld suivis)
+async function handleScheduleCommand(interaction, state, cfg, locale) {
+  const o = interaction.options;
+  const reset = o.getBoolean("reset") ?? false;
+  const updates = Object.entries(SCHEDULE_OPTIONS)
+    .map(([option, key]) => [key, o.getInteger(option)])
+    .filter(([, v]) => v !== null);
+
+  const timezone = o.getString("timezone")?.trim() ?? null;
+  if (timezone !== null) {
+    if (!hourFormatFor(timezone)) {
+      await interaction.reply({
+        content: t(locale, "schedule.badTimezone", { timezone: escapeMarkdown(timezone) }),
+        ephemeral: true,
+      });
+      return;
+    }
+    updates.push(["timezone", timezone]);
+  }
+
+  const next = { ...(reset ? {} : cfg.schedule), ...Object.fromEntries(updates) };
+  const hasStart = (next.quietStart ?? null) !== null;
+  const hasEnd = (next.quietEnd ?? null) !== null;
+  if (hasStart !== hasEnd) {
+    await interaction.reply({ content: t(locale, "schedule.quietIncomplete"), ephemeral: true });
+    return;
+  }
+
+  const changed = reset || updates.length > 0;
+  if (changed) {
+    if (Object.keys(next).length) cfg.schedule = next;
+    else delete cfg.schedule;
+    saveState(state);
+    rescheduleAll();
+  }
+
+  const followed = Object.keys(cfg.maps ?? {}).filter((id) => SERVER_PROFILES[id]);
+  const lines = (followed.length ? followed : SERVER_IDS).map((id) =>
+    describeServerSchedule(cfg, interaction.guildId, id, locale),
+  );
+  await interaction.reply({
+    content: t(locale, changed ? "schedule.updated" : "schedule.show", {
+      schedule: [...lines, describeQuietHours(cfg, locale)].join("\n"),
+    }),
+    ephemeral: true,
+  });
+}
+
+// Aperçu seulement: la calibration (assets/calibration.json) vaut pour tout
+// le bot, elle s'enregistre avec `yarn calibrate --save` sur la machine du bot
+const CALIBRATE_MAX_POINT_LINES = 10;
+
+async function handleCalibrateCommand(interaction, locale) {
+  const text = interaction.options.getString("points", true);
+  const coords = interaction.options.getString("coords") ?? "map";
+
+  let points;
+  try {
+    points = parseCalibrationPoints(text);
+  } catch (err) {
+    await interaction.reply({
+      content: t(locale, "calibrate.parseError", {
+        index: err.index,
+        point: err.point.replaceAll("`", ""),
+      }),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  const samples = toSamples(points, coords, WORLD_TO_MAP);
+  if (samples.length < 2) {
+    await interaction.reply({ content: t(locale, "calibrate.notEnough"), ephemeral: true });
+    return;
+  }
+
+  const fit = fitMapToPx(samples, WORLD_TO_MAP);
+  if (!fit) {
+    await interaction.reply({ content: t(locale, "calibrate.degenerate"), ephemeral: true });
+    return;
+  }
+  const current = residualsOf(MAP_TO_PX, samples, WORLD_TO_MAP);
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const px = (v) => v.toFixed(1);
+  const pointLines = fit.errors
+    .slice(0, CALIBRATE_MAX_POINT_LINES)
+    .map((e, i) =>
+      t(locale, "calibrate.point", { n: i + 1, error: px(e), current: px(current.errors[i]) }),
+    );
+  if (fit.errors.length > CALIBRATE_MAX_POINT_LINES) {
+    pointLines.push(
+      t(locale, "calibrate.morePoints", {
+        count: fit.errors.length - CALIBRATE_MAX_POINT_LINES,
+      }),
+    );
+  }
+
+  const normalized = points.map((p) => p.join(" ")).join("; ");
+  const content = [
+    t(locale, "calibrate.title", {
+      image: escapeMarkdown(path.basename(ASSETS.map)),
+      count: samples.length,
+    }),
+    t(locale, `calibrate.model.${fit.model}`),
+    t(locale, "calibrate.residual", {
+      rms: px(fit.rmsPx),
+      max: px(fit.maxPx),
+      worst: fit.worst,
+      meters: (fit.maxPx * fit.metersPerPx).toFixed(1),
+    }),
+    ...(fit.exact ? [t(locale, "calibrate.exact")] : []),
+    t(locale, "calibrate.current", { rms: px(current.rmsPx), max: px(current.maxPx) }),
+    "",
+    ...pointLines,
+    "",
+    t(locale, "calibrate.legend"),
+    t(locale, "calibrate.save"),
+    `\`\`\`\nyarn calibrate --coords ${coords} --points="${normalized}" --save\n\`\`\``,
+  ].join("\n");
+
+  try {
+    const buf = await renderCalibrationDebug(samples, fit.mapToPx, { current: MAP_TO_PX });
+    await interaction.editReply({
+      content,
+      files: [new AttachmentBuilder(buf, { name: "palworld-calibration.jpg" })],
+    });
+  } catch (err) {
+    console.error("Calibration render error:", err);
+    await interaction.editReply({ content: `${content}\n${t(locale, "calibrate.error")}` });
+  }
+}
+
+// Option "server" explicite, sinon le premier serveur suivi par ce serveur
+// Discord, sinon le premier profil. null si l'id demandé n'existe pas.
+function resolveServerId(interaction, cfg) {
+  const wanted = interaction.options.getString("server");
+  if (wanted) return SERVER_PROFILES[wanted] ? wanted : null;
+
+  const followed = Object.keys(cfg?.maps ?? {}).filter((id) => SERVER_PROFILES[id]);
+  return followed[0] ?? SERVER_IDS[0];
+}
+
+// Confidentialité, couleurs et palette sont rangées par serveur Palworld
+// (state.servers[id]) et partagées entre les communautés qui le suivent:
+// seul un serveur Discord qui le suit peut les modifier
+function editsSharedServerState(interaction) {
+  return (
+    interaction.commandName === "palprivacy" ||
+    interaction.options.getSubcommandGroup(false) === "privacy" ||
+    ["color", "palette"].includes(interaction.options.getSubcommand())
+  );
+}
+
+async function handleAutocomplete(interaction) {
+  if (!COMMAND_NAMES.includes(interaction.commandName)) return;
+
+  const focused = interaction.options.getFocused(true);
+  const q = String(focused.value ?? "").toLowerCase();
+
+  if (focused.name === "timezone") {
+    await interaction.respond(
+      Intl.supportedValuesOf("timeZone")
+        .filter((zone) => zone.toLowerCase().includes(q))
+        .slice(0, 25)
+        .map((zone) => ({ name: zone, value: zone })),
+    );
+    return;
+  }
+
+  if (focused.name === "server") {
+    await interaction.respond(
+      SERVER_IDS.filter(
+        (id) =>
+          id.toLowerCase().includes(q) ||
+          SERVER_PROFILES[id].label.toLowerCase().includes(q),
+      )
+        .slice(0, 25)
+        .map((id) => ({
+          name: `${SERVER_PROFILES[id].label} (${id})`.slice(0, 100),
+          value: id,
+        })),
+    );
+    return;
+  }
+
+  const state = loadState();
+  const cfg = state.guilds?.[interaction.guildId];
+  const serverId = resolveServerId(interaction, cfg);
+  // suggestions visibles de tous: pas de joueurs masqués
+  const data = publicView(state, serverId, lastData.get(serverId));
+
+  let names = [];
+  if (
+    focused.name === "player" &&
+    ["where", "link", "approve"].includes(interaction.options.getSubcommand())
+  ) {
+    names = knownPlayerNames(state, serverId, data);
+  } else if (focused.name === "player" && interaction.options.getSubcommand() === "stats") {
+    names = statsForPeriod(state, serverId, null).map((s) => s.name ?? "");
+  } else if (focused.name === "player") {
+    names = (data?.players ?? []).map((p) => p.name ?? p.nickname ?? "");
+  } else if (focused.name === "guild") {
+    names = Object.values(data?.guildsJson ?? {}).map((g) => g.name ?? "");
+  }
+
+  const choices = [...new Set(names)]
+    .filter((n) => n && n.toLowerCase().includes(q))
+    .sort((a, b) => a.localeCompare(b))
+    .slice(0, 25)
+    .map((n) => ({ name: n.slice(0, 100), value: n.slice(0, 100) }));
+
+  await interaction.respond(choices);
+}
+
+// Boutons et menu des live-maps (voir mapComponents)
+// Le message de la live-map montre déjà le résultat: on ne prévient qu'en cas d'échec
+async function followUpIfFailed(interaction, result, serverId, locale) {
+  if (result?.ok !== false) return;
+  await interaction.followUp({
+    content: t(locale, "force.failed", {
+      server: escapeMarkdown(SERVER_PROFILES[serverId].label),
+      error: result.error.replaceAll("`", "'").slice(0, 300),
+    }),
+    ephemeral: true,
+  });
+}
+
+async function handleComponent(interaction) {
+  const [prefix, action, serverId, layer] = interaction.customId.split(":");
+  if (prefix !== "palmap") return;
+
+  const state = loadState();
+  const cfg = state.guilds?.[interaction.guildId];
+  const entry = cfg?.maps?.[serverId];
+  const locale = userLocale(interaction, cfg);
+
+  if (!SERVER_PROFILES[serverId] || !mapTargets(entry).length) {
+    await interaction.reply({
+      content: t(locale, "components.expired"),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  // même chemin que /palmap force
+  if (action === "refresh") {
+    const key = `refresh|${interaction.guildId}|${serverId}`;
+    if (await replyIfCooldown(interaction, key, REFRESH_COOLDOWN_MS, locale)) return;
+
+    await interaction.deferUpdate();
+    await followUpIfFailed(
+      interaction,
+      await tick(serverId, { forceGuildId: interaction.guildId }),
+      serverId,
+      locale,
+    );
+    return;
+  }
+
+  // calques: modifie le rendu du serveur Discord, comme /palmap config set
+  if (action === "layer") {
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      await interaction.reply({
+        content: t(locale, "common.staffOnly"),
+        ephemeral: true,
+      });
+      return;
+    }
+    if (!LAYER_TOGGLES.some((l) => l.layer === layer)) return;
+
+    cfg.render = { ...cfg.render, [layer]: !getRenderOptions(cfg)[layer] };
+    invalidateMaps(cfg);
+    saveState(state);
+
+    // mis en file derrière un update en cours: le message suit une fois rendu
+    await interaction.deferUpdate();
+    await followUpIfFailed(
+      interaction,
+      await tick(serverId, { forceGuildId: interaction.guildId }),
+      serverId,
+      locale,
+    );
+    return;
+  }
+
+  if (action === "guild") {
+    // carte staff: vue exacte, sinon la vue publique (confidentialité)
+    const staff = interaction.message.id === entry.staff?.messageId;
+    const data = lastData.get(serverId);
+    const view = staff ? data : publicView(state, serverId, data);
+    const palGuildId = interaction.values[0];
+    const palGuild = view?.guildsJson?.[palGuildId];
+    if (!palGuild) {
+      await interaction.reply({
+        content: t(locale, "common.guildNotFound", { name: escapeMarkdown(palGuildId) }),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    const key = `highlight|${interaction.user.id}`;
+    if (await replyIfCooldown(interaction, key, HIGHLIGHT_COOLDOWN_MS, locale)) return;
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const trailHours = Math.min(cfg.trailHours ?? 0, HISTORY_HOURS);
+      const options = getRenderOptions(cfg);
+      const buf = await renderInWorker({
+        players: view.players,
+        camps: view.camps,
+        playerToGuild: view.playerToGuild,
+        legendGuilds: view.legendGuilds,
+        trails: trailsFor(view, state, serverId, trailHours),
+        trailHours,
+        options,
+        colors: guildColorsFor(state, serverId, view),
+        highlight: palGuildId,
+      });
+      const upload = await fitUpload(buf, options);
+
+      await interaction.editReply({
+        content: t(locale, "components.highlight", {
+          guild: escapeMarkdown(palGuild.name ?? palGuildId),
+          server: escapeMarkdown(SERVER_PROFILES[serverId].label),
+        }),
+        files: [
+          new AttachmentBuilder(upload.buf, {
+            name: `palworld-guild.${imageExtension(upload.format)}`,
+          }),
+        ],
+      });
+    } catch (err) {
+      console.error("Highlight error:", err);
+      await interaction.editReply({ content: t(locale, "components.highlightError") });
+    }
+  }
+}
+
+client.on("interactionCreate", async (interaction) => {
+  if (interaction.isAutocomplete()) {
+    await handleAutocomplete(interaction).catch((err) =>
+      console.error("Autocomplete error:", err),
+    );
+    return;
+  }
+
+  if (interaction.isMessageComponent()) {
+    await handleComponent(interaction).catch((err) =>
+      console.error("Component error:", err),
+    );
+    return;
+  }
+
+  if (!interaction.isChatInputCommand()) return;
+  await handleCommand(interaction).catch((err) => replyCommandError(interaction, err));
+});
+
+// Dernier filet: une réponse ratée (jeton expiré, message > 2000 caractères…)
+// ne doit pas finir en rejet non géré
+async function replyCommandError(interaction, err) {
+  console.error(`Command error (/${interaction.commandName}):`, err);
+  const content = t(resolveLocale(interaction.locale) ?? DEFAULT_LOCALE, "common.error");
+  try {
+    if (interaction.replied) await interaction.followUp({ content, ephemeral: true });
+    else if (interaction.deferred) await interaction.editReply({ content });
+    else await interaction.reply({ content, ephemeral: true });
+  } catch (replyErr) {
+    console.error("Command error reply failed:", replyErr.message);
+  }
+}
+
+async function handleCommand(interaction) {
+  if (!COMMAND_NAMES.includes(interaction.commandName)) return;
+
+  const sub = interaction.options.getSubcommand();
+  const guildId = interaction.guildId;
+
+  if (!guildId) {
+    await interaction.reply({
+      content: t(resolveLocale(interaction.locale) ?? DEFAULT_LOCALE, "common.notInGuild"),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  if (
+    isStaffOnly(interaction) &&
+    !interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)
+  ) {
+    await interaction.reply({
+      content: t(resolveLocale(interaction.locale) ?? DEFAULT_LOCALE, "common.staffOnly"),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  const state = loadState();
+  state.guilds ??= {};
+  state.guilds[guildId] ??= {};
+
+  if (interaction.options.getSubcommandGroup(false) === "config") {
+    await handleConfigCommand(interaction, state, guildId);
+    return;
+  }
+
+  const cfg = state.guilds[guildId];
+  cfg.maps ??= {};
+  const locale = userLocale(interaction, cfg);
+  const ids = SERVER_IDS.map((id) => `\`${id}\``).join(", ");
+
+  if (sub === "calibrate") {
+    await handleCalibrateCommand(interaction, locale);
+    return;
+  }
+
+  if (sub === "schedule") {
+    await handleScheduleCommand(interaction, state, cfg, locale);
+    return;
+  }
+
+  const serverId = resolveServerId(interaction, cfg);
+  if (!serverId) {
+    await interaction.reply({
+      content: t(locale, "common.unknownServer", { ids }),
+      ephemeral: true,
+    });
+    return;
+  }
+  const profile = SERVER_PROFILES[serverId];
+
+  if (editsSharedServerState(interaction) && !cfg.maps[serverId]) {
+    await interaction.reply({
+      content: t(locale, "common.notFollowed", { server: escapeMarkdown(profile.label) }),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  if (interaction.options.getSubcommandGroup(false) === "alerts") {
+    await handleAlertsCommand(interaction, state, cfg, serverId);
+    return;
+  }
+
+  if (
+    interaction.commandName === "palprivacy" ||
+    interaction.options.getSubcommandGroup(false) === "privacy"
+  ) {
+    await handlePrivacyCommand(interaction, state, cfg, serverId);
+    return;
+  }
+
+  if (sub === "add") {
+    const channel = interaction.options.getChannel("channel", true);
+
+    if (!interaction.options.getString("server") && SERVER_IDS.length > 1) {
+      await interaction.reply({
+        content: t(locale, "add.pickServer", { ids }),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    if (channel.type !== ChannelType.GuildText) {
+      await interaction.reply({
+        content: t(locale, "common.textChannelOnly"),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    cfg.maps[serverId] = {
+      ...cfg.maps[serverId],
+      channelId: channel.id,
+      messageId: null,
+      lastHash: null,
+      lastUpdatedAt: null,
+    };
+
+    saveState(state);
+
+    await interaction.reply({
+      content: t(locale, "add.done", { server: escapeMarkdown(profile.label), channel }),
+      ephemeral: true,
+    });
+
+    await tick(serverId, { forceGuildId: guildId });
+    return;
+  }
+
+  if (sub === "remove") {
+    // sans option server: on détache tout
+    if (!interaction.options.getString("server")) {
+      const had = Object.keys(cfg.maps).length > 0;
+      delete state.guilds[guildId];
+      saveState(state);
+
+      await interaction.reply({
+        content: had ? t(locale, "remove.all") : t(locale, "remove.allNone"),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    const had = !!cfg.maps[serverId];
+    delete cfg.maps[serverId];
+    saveState(state);
+
+    await interaction.reply({
+      content: t(locale, had ? "remove.one" : "remove.oneNone", {
+        server: escapeMarkdown(profile.label),
+      }),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  if (sub === "events") {
+    const channel = interaction.options.getChannel("channel");
+
+    if (!channel) {
+      const had = !!cfg.maps[serverId]?.eventsChannelId;
+      if (cfg.maps[serverId]) cfg.maps[serverId].eventsChannelId = null;
+      saveState(state);
+
+      await interaction.reply({
+        content: had ? t(locale, "events.off") : t(locale, "events.offNone"),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    if (channel.type !== ChannelType.GuildText) {
+      await interaction.reply({
+        content: t(locale, "common.textChannelOnly"),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    cfg.maps[serverId] ??= {};
+    cfg.maps[serverId].eventsChannelId = channel.id;
+    saveState(state);
+
+    await interaction.reply({
+      content: t(locale, "events.on", { server: escapeMarkdown(profile.label), channel }),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  if (sub === "trails") {
+    const hours = interaction.options.getInteger("hours", true);
+
+    cfg.trailHours = Math.min(hours, HISTORY_HOURS);
+    invalidateMaps(cfg); // re-render au prochain tick
+    saveState(state);
+
+    await interaction.reply({
+      content:
+        hours > 0
+          ? [
+              t(locale, "trails.on", { hours: cfg.trailHours }),
+              hoursClampedNote(hours, locale),
+            ]
+              .filter(Boolean)
+              .join("\n")
+          : t(locale, "trails.off"),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  if (sub === "heatmap") {
+    const asked = interaction.options.getInteger("hours") ?? HISTORY_HOURS;
+    const hours = Math.min(asked, HISTORY_HOURS);
+    const privacy = privacyOf(state, serverId);
+    const history = publicHistory(getHistory(state, serverId, hours), privacy);
+
+    if (!history.length) {
+      await interaction.reply({
+        content: t(locale, "common.noHistory"),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    await interaction.deferReply();
+
+    try {
+      const buf = await renderHeatmap({
+        history,
+        camps: (lastData.get(serverId)?.camps ?? []).filter(
+          (c) => !privacy.hiddenGuilds?.[c.guild_id],
+        ),
+        hours,
+        locale: guildLocale(cfg),
+      });
+
+      await interaction.editReply({
+        content: [
+          t(locale, "heatmap.done", { server: escapeMarkdown(profile.label), hours }),
+          hoursClampedNote(asked, locale),
+        ]
+          .filter(Boolean)
+          .join("\n"),
+        files: [new AttachmentBuilder(buf, { name: "palworld-heatmap.jpg" })],
+      });
+    } catch (err) {
+      console.error("Heatmap error:", err);
+      await interaction.editReply({
+        content: t(locale, "heatmap.error"),
+      });
+    }
+    return;
+  }
+
+  if (sub === "timelapse") {
+    const asked = interaction.options.getInteger("hours") ?? HISTORY_HOURS;
+    const hours = Math.min(asked, HISTORY_HOURS);
+    const format = interaction.options.getString("format") ?? "webp";
+    const history = publicHistory(
+      getHistory(state, serverId, hours),
+      privacyOf(state, serverId),
+    );
+
+    if (history.length < 2) {
+      await interaction.reply({
+        content: t(locale, "timelapse.notEnough"),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    if (timelapseRunning) {
+      await interaction.reply({
+        content: t(locale, "timelapse.busy"),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    await interaction.deferReply();
+    timelapseRunning = true;
+
+    try {
+      const { buf, frames } = await renderTimelapse({
+        history,
+        data: publicView(state, serverId, lastData.get(serverId)),
+        state,
+        serverId,
+        format,
+        locale: guildLocale(cfg),
+      });
+
+      if (buf.length > UPLOAD_MAX_BYTES) {
+        await interaction.editReply({
+          content: t(locale, "timelapse.tooBig", {
+            size: (buf.length / 1024 / 1024).toFixed(1),
+          }),
+        });
+        return;
+      }
+
+      await interaction.editReply({
+        content: [
+          t(locale, "timelapse.done", {
+            server: escapeMarkdown(profile.label),
+            hours,
+            frames,
+          }),
+          hoursClampedNote(asked, locale),
+        ]
+          .filter(Boolean)
+          .join("\n"),
+        files: [new AttachmentBuilder(buf, { name: `palworld-timelapse.${format}` })],
+      });
+    } catch (err) {
+      console.error("Timelapse error:", err);
+      await interaction.editReply({
+        content: t(locale, "timelapse.error"),
+      });
+    } finally {
+      timelapseRunning = false;
+    }
+    return;
+  }
+
+  if (sub === "zoom") {
+    const query = {
+      player: interaction.options.getString("player"),
+      guild: interaction.options.getString("guild"),
+      x: interaction.options.getNumber("x"),
+      y: interaction.options.getNumber("y"),
+    };
+
+    const targets = [
+      query.player,
+      query.guild,
+      query.x !== null || query.y !== null,
+    ].filter(Boolean);
+    if (targets.length !== 1) {
+      await interaction.reply({
+        content: t(locale, "zoom.oneTarget"),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    // vue publique: confidentialité (joueurs masqués, délai, flou) respectée
+    const data = publicView(state, serverId, lastData.get(serverId));
+    if (!data) {
+      await interaction.reply({
+        content: t(locale, "common.noData"),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    const target = resolveZoomTarget(data, query);
+    if (!target) {
+      await interaction.reply({
+        content: t(locale, "zoom.notFound"),
+        ephemeral: true,
+      });
+      return;
+    }
+    if (!(await isOnMap(target))) {
+      await interaction.reply({
+        content: t(locale, "zoom.outOfMap"),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const buf = await renderZoom(data, target, {
+        state,
+        trailHours: Math.min(cfg.trailHours ?? 0, HISTORY_HOURS),
+        grid: getRenderOptions(cfg),
+      });
+
+      const cx = target.points.reduce((a, p) => a + p.px, 0) / target.points.length;
+      const cy = target.points.reduce((a, p) => a + p.py, 0) / target.points.length;
+      const { mapX, mapY } = pixelToMap(cx, cy);
+
+      await interaction.editReply({
+        content: t(locale, "zoom.done", {
+          label: escapeMarkdown(target.label),
+          x: Math.round(mapX),
+          y: Math.round(mapY),
+        }),
+        files: [new AttachmentBuilder(buf, { name: "palworld-zoom.jpg" })],
+      });
+    } catch (err) {
+      console.error("Zoom error:", err);
+      await interaction.editReply({ content: t(locale, "zoom.error") });
+    }
+    return;
+  }
+
+  if (sub === "where") {
+    const name = interaction.options.getString("player", true);
+    // réponse publique: uniquement ce que montre la live-map publique
+    const data = publicView(state, serverId, lastData.get(serverId));
+    const found = lookupPlayer(state, serverId, data, name, { publicOnly: true });
+
+    if (!found) {
+      await interaction.reply({
+        content: t(locale, "where.notFound", { name: escapeMarkdown(name) }),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    await interaction.deferReply();
+
+    const embed = new EmbedBuilder()
+      .setTitle(`📍 ${found.name}`)
+      .setColor(found.online ? 0x3ba55d : 0x747f8d)
+      .setTimestamp(new Date());
+
+    const status = found.online
+      ? t(locale, "where.online")
+      : found.at
+        ? t(locale, "where.seen", { when: `<t:${Math.floor(found.at / 1000)}:R>` })
+        : t(locale, "where.offline");
+    embed.addFields({ name: t(locale, "where.status"), value: status, inline: true });
+
+    const palGuildId = data?.playerToGuild?.[found.pid] ?? null;
+    const palGuild = palGuildId ? data.guildsJson?.[palGuildId] : null;
+    embed.addFields({
+      name: t(locale, "common.guild"),
+      value: palGuild?.name ? escapeMarkdown(palGuild.name) : t(locale, "common.none"),
+      inline: true,
+    });
+
+    const files = [];
+    if (found.x !== null && (found.x || found.y)) {
+      const pos = worldToMap(found.x, found.y);
+      embed.addFields({
+        name: t(locale, "where.position"),
+        value: `${Math.round(pos.mapX)}, ${Math.round(pos.mapY)}`,
+        inline: true,
+      });
+
+      const nearest = palGuildId ? nearestGuildCamp(data, palGuildId, pos) : null;
+      if (nearest) {
+        embed.addFields({
+          name: t(locale, "where.nearestCamp"),
+          value: t(locale, "where.campDistance", {
+            x: Math.round(nearest.camp.map_x),
+            y: Math.round(nearest.camp.map_y),
+            distance: formatDistance(nearest.meters),
+          }),
+        });
+      }
+
+      if (data) {
+        try {
+          const zoom = await renderZoom(data, {
+            label: found.name,
+            points: [worldToPixel(found.x, found.y)],
+          }, { state });
+          const thumb = await sharp(zoom).resize(512).jpeg({ quality: 85 }).toBuffer();
+          files.push(new AttachmentBuilder(thumb, { name: "where.jpg" }));
+          embed.setThumbnail("attachment://where.jpg");
+        } catch (err) {
+          console.error("Where thumbnail error:", err);
+        }
+      }
+    }
+
+    await interaction.editReply({ embeds: [embed], files });
+    return;
+  }
+
+  if (sub === "stats") {
+    const wanted = interaction.options.getString("period");
+    const periodKey = STATS_PERIODS[wanted] ? wanted : "week";
+    const periodLabel = t(locale, `stats.period.${periodKey}`);
+    const rows = statsForPeriod(state, serverId, STATS_PERIODS[periodKey].days);
+    // bases des guildes masquées exclues du classement
+    const data = publicView(state, serverId, lastData.get(serverId));
+    const name = interaction.options.getString("player");
+
+    if (name) {
+      const q = name.trim().toLowerCase();
+      const s =
+        rows.find((r) => String(r.name ?? "").toLowerCase() === q) ??
+        rows.find((r) => String(r.name ?? "").toLowerCase().includes(q));
+
+      if (!s) {
+        await interaction.reply({
+          content: t(locale, "stats.notFound", { name: escapeMarkdown(name) }),
+          ephemeral: true,
+        });
+        return;
+      }
+
+      const palGuild = data?.guildsJson?.[data.playerToGuild?.[s.pid]];
+      const embed = new EmbedBuilder()
+        .setTitle(`📊 ${s.name ?? s.pid}`)
+        .setDescription(`${escapeMarkdown(profile.label)} — ${periodLabel}`)
+        .addFields(
+          { name: t(locale, "stats.playtime"), value: formatDuration(s.ms), inline: true },
+          { name: t(locale, "stats.distance"), value: formatDistance(s.m), inline: true },
+          {
+            name: t(locale, "common.guild"),
+            value: palGuild?.name ? escapeMarkdown(palGuild.name) : t(locale, "common.none"),
+            inline: true,
+          },
+          { name: t(locale, "stats.sessions"), value: String(s.sessions), inline: true },
+          {
+            name: t(locale, "stats.firstSeen"),
+            value: `<t:${Math.floor(s.firstSeen / 1000)}:D>`,
+            inline: true,
+          },
+          {
+            name: t(locale, "stats.lastSeen"),
+            value: s.session
+              ? t(locale, "where.online")
+              : `<t:${Math.floor(s.lastSeen / 1000)}:R>`,
+            inline: true,
+          },
+        )
+        .setTimestamp(new Date());
+
+      await interaction.reply({ embeds: [embed] });
+      return;
+    }
+
+    const top = (list, valueOf, fmt) =>
+      list
+        .filter((r) => valueOf(r) > 0)
+        .sort((a, b) => valueOf(b) - valueOf(a))
+        .slice(0, 10)
+        .map((r, i) => `${i + 1}. **${escapeMarkdown(r.name ?? "?")}** — ${fmt(valueOf(r))}`)
+        .join("\n") || "—";
+
+    // Agrégat par guilde (appartenance actuelle)
+    const guilds = {};
+    for (const r of rows) {
+      const gid = data?.playerToGuild?.[r.pid];
+      if (!gid) continue;
+      const g = (guilds[gid] ??= {
+        name: data.guildsJson?.[gid]?.name ?? gid,
+        ms: 0,
+        m: 0,
+      });
+      g.ms += r.ms;
+      g.m += r.m;
+    }
+    const guildCamps = (data?.legendGuilds ?? []).map((g) => ({
+      name: g.name,
+      camps: g.campCount,
+    }));
+
+    const embed = new EmbedBuilder()
+      .setTitle(t(locale, "stats.title", { server: profile.label }))
+      .setDescription(periodLabel)
+      .addFields(
+        { name: t(locale, "stats.topPlaytime"), value: top(rows, (r) => r.ms, formatDuration), inline: true },
+        { name: t(locale, "stats.topDistance"), value: top(rows, (r) => r.m, formatDistance), inline: true },
+        { name: "\u200b", value: "\u200b" },
+        { name: t(locale, "stats.guildPlaytime"), value: top(Object.values(guilds), (g) => g.ms, formatDuration), inline: true },
+        { name: t(locale, "stats.guildCamps"), value: top(guildCamps, (g) => g.camps, String), inline: true },
+        { name: t(locale, "stats.guildDistance"), value: top(Object.values(guilds), (g) => g.m, formatDistance), inline: true },
+      )
+      .setTimestamp(new Date());
+
+    await interaction.reply({ embeds: [embed] });
+    return;
+  }
+
+  if (sub === "color") {
+    const data = lastData.get(serverId);
+    const guildName = interaction.options.getString("guild", true);
+    const palGuild = findGuildByName(data?.guildsJson, guildName);
+    if (!palGuild) {
+      await interaction.reply({
+        content: t(locale, "common.guildNotFound", { name: escapeMarkdown(guildName) }),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    const server = getServerState(state, serverId);
+    const input = interaction.options.getString("hex");
+    const palGuildLabel = escapeMarkdown(palGuild.name ?? palGuild.id);
+
+    // sans couleur: retour à la couleur automatique
+    if (input === null) {
+      if (server.customColors) delete server.customColors[palGuild.id];
+      const color = pickColorForGuild(palGuild.id, state, serverId);
+      guildColorsChanged(state, serverId);
+
+      await interaction.reply({
+        content: t(locale, "color.reset", { guild: palGuildLabel, color }),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    const color = normalizeHex(input);
+    if (!color) {
+      await interaction.reply({
+        content: t(locale, "color.invalid", { input: escapeMarkdown(input) }),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    // déjà choisie à la main pour une autre guilde (une couleur automatique,
+    // elle, est simplement réattribuée ailleurs)
+    const owner = Object.entries(server.customColors ?? {}).find(
+      ([gid, c]) => gid !== palGuild.id && normalizeHex(c) === color,
+    );
+    if (owner) {
+      await interaction.reply({
+        content: t(locale, "color.taken", {
+          color,
+          guild: escapeMarkdown(data.guildsJson?.[owner[0]]?.name ?? owner[0]),
+        }),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    server.customColors ??= {};
+    server.customColors[palGuild.id] = color;
+    const recolored = ensureDistinctGuildColors(
+      state,
+      serverId,
+      Object.keys(data.guildsJson ?? {}),
+    );
+    guildColorsChanged(state, serverId);
+
+    const lines = [
+      t(locale, "color.set", {
+        guild: palGuildLabel,
+        color,
+        server: escapeMarkdown(profile.label),
+      }),
+    ];
+    if (recolored.length) {
+      lines.push(
+        t(locale, "color.recolored", {
+          guilds: recolored
+            .map(
+              (gid) =>
+                `**${escapeMarkdown(data.guildsJson?.[gid]?.name ?? gid)}** (\`${guildColorOf(server, gid)}\`)`,
+            )
+            .join(", "),
+        }),
+      );
+    }
+
+    await interaction.reply({ content: lines.join("\n"), ephemeral: true });
+    return;
+  }
+
+  if (sub === "palette") {
+    const palette = interaction.options.getString("palette", true);
+    const server = getServerState(state, serverId);
+    const data = lastData.get(serverId);
+
+    // couleurs automatiques réattribuées, les plus grosses guildes d'abord
+    // (premières couleurs de la palette); les couleurs choisies à la main restent
+    server.palette = GUILD_PALETTES[palette] ? palette : DEFAULT_PALETTE;
+    server.guildColors = {};
+    const order = new Set([
+      ...(data?.legendGuilds ?? []).map((g) => g.id),
+      ...Object.keys(data?.guildsJson ?? {}),
+    ]);
+    for (const gid of order) pickColorForGuild(gid, state, serverId);
+    guildColorsChanged(state, serverId);
+
+    const colors = [...order]
+      .slice(0, 20)
+      .map(
+        (gid) =>
+          `• ${escapeMarkdown(data.guildsJson?.[gid]?.name ?? gid)} — \`${guildColorOf(server, gid)}\``,
+      );
+
+    await interaction.reply({
+      content: t(locale, "palette.set", {
+        palette: t(locale, `palette.${server.palette}`),
+        server: escapeMarkdown(profile.label),
+        colors: colors.join("\n") || "—",
+      }),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  if (sub === "status") {
+    const entries = Object.entries(cfg.maps).filter(
+      ([, e]) =>
+        e?.channelId || e?.staff?.channelId || e?.eventsChannelId || e?.alerts?.channelId,
+    );
+    if (!entries.length) {
+      await interaction.reply({
+        content: t(locale, "status.none"),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    const blocks = entries.map(([id, e]) => {
+      const when = e.lastUpdatedAt
+        ? formatDateTime(locale, e.lastUpdatedAt)
+        : t(locale, "status.never");
+      return [
+        t(locale, "status.server", {
+          server: escapeMarkdown(SERVER_PROFILES[id]?.label ?? id),
+          id,
+        }),
+        ...(SERVER_PROFILES[id] ? [describeServerSchedule(cfg, guildId, id, locale)] : []),
+        e.channelId
+          ? t(locale, "status.map", { channel: `<#${e.channelId}>` })
+          : t(locale, "status.noMap"),
+        t(locale, "status.message", {
+          id: e.messageId ?? t(locale, "status.messagePending"),
+        }),
+        t(locale, "status.lastUpdate", { when }),
+        t(locale, "status.events", {
+          channel: e.eventsChannelId
+            ? `<#${e.eventsChannelId}>`
+            : t(locale, "status.eventsOff"),
+        }),
+        describeAlerts(e.alerts, lastData.get(id), locale),
+        e.staff?.channelId
+          ? t(locale, "status.staffMap", { channel: `<#${e.staff.channelId}>` })
+          : t(locale, "status.staffMapOff"),
+        describePrivacy(privacyOf(state, id), locale),
+        t(locale, "status.palette", {
+          palette: t(locale, `palette.${state.servers?.[id]?.palette ?? DEFAULT_PALETTE}`),
+        }),
+        describeSource(state.servers?.[id]?.source, locale),
+      ].join("\n");
+    });
+
+    await interaction.reply({
+      content: [
+        ...blocks,
+        [
+          t(locale, "status.trails", {
+            value: cfg.trailHours ? `${cfg.trailHours} h` : t(locale, "status.trailsOff"),
+          }),
+          t(locale, "status.language", { language: LANGUAGE_NAMES[guildLocale(cfg)] }),
+          describeQuietHours(cfg, locale),
+        ].join("\n"),
+      ].join("\n\n"),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  if (sub === "force") {
+    // sans option server: tous les serveurs suivis
+    const targets = interaction.options.getString("server")
+      ? [serverId]
+      : Object.keys(cfg.maps);
+    const forced = targets.filter((id) => mapTargets(cfg.maps[id]).length);
+
+    if (!forced.length) {
+      await interaction.reply({
+        content: t(locale, "force.noMap"),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    await interaction.reply({
+      content: t(locale, forced.some((id) => running.has(id)) ? "force.queued" : "force.started"),
+      ephemeral: true,
+    });
+
+    // en parallèle: chaque serveur a sa propre file
+    await Promise.all(
+      forced.map(async (id) => {
+        const { ok, error } = await tick(id, { forceGuildId: guildId });
+        const server = escapeMarkdown(SERVER_PROFILES[id].label);
+        await interaction
+          .followUp({
+            content: ok
+              ? t(locale, "force.done", { server })
+              : t(locale, "force.failed", {
+                  server,
+                  error: error.replaceAll("`", "'").slice(0, 300),
+                }),
+            ephemeral: true,
+          })
+          .catch((err) => console.error("Force follow-up error:", err));
+      }),
+    );
+    return;
+  }
+}
+
+client.on(Events.Error, (err) => console.error("Discord client error:", err));
+process.on("unhandledRejection", (err) => console.error("Unhandled rejection:", err));
+
+client.once(Events.ClientReady, async () => {
+  console.log(`Logged as ${client.user.tag}`);
+
+  // démarre le worker (et le décodage de la base map) avant le premier tick
+  if (RENDER_IN_WORKER) getRenderWorker();
+
+  // un serveur Palworld lent ou injoignable ne retarde pas les autres
+  await Promise.all(SERVER_IDS.map((serverId) => runSchedule(serverId)));
+});
+
+if (WEB_PORT) startWebServer();
 
 client.login(DISCORD_TOKEN);
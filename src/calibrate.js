@@ -0,0 +1,119 @@
+// Ajuste la calibration de l'image de carte (MAP_IMAGE) sur des repères:
+// coordonnées connues + position en pixels du même endroit sur l'image.
+//
+//   yarn calibrate --points="x y px py; x y px py; x y px py" [--coords world]
+//   yarn calibrate --file repères.txt --out debug.jpg --save
+//
+// --coords map (défaut): coordonnées affichées en jeu; world: coordonnées
+// brutes de l'API REST (cm). 3 repères ou plus, bien répartis sur la carte.
+import "dotenv/config";
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+import sharp from "sharp";
+
+import {
+  CALIBRATION_FILE,
+  fitMapToPx,
+  parseCalibrationPoints,
+  residualsOf,
+  saveCalibration,
+  toSamples,
+} from "./calibration.js";
+import { ASSETS, MAP_TO_PX, WORLD_TO_MAP, renderCalibrationDebug } from "./render.js";
+
+const { values: args } = parseArgs({
+  options: {
+    points: { type: "string" },
+    file: { type: "string" },
+    coords: { type: "string", default: "map" },
+    out: { type: "string" },
+    save: { type: "boolean", default: false },
+  },
+});
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+// fichier: même format que --points (un repère par ligne), ou JSON
+// [[x, y, px, py], …] / [{ x, y, px, py }, …]
+function readPoints() {
+  if (!args.file) return parseCalibrationPoints(args.points);
+
+  const raw = fs.readFileSync(args.file, "utf8");
+  if (!/^\s*\[/.test(raw)) return parseCalibrationPoints(raw);
+  return JSON.parse(raw).map((p) => (Array.isArray(p) ? p : [p.x, p.y, p.px, p.py]));
+}
+
+const round = (v, digits = 2) => Number(v.toFixed(digits));
+
+(async () => {
+  if (!["map", "world"].includes(args.coords)) fail(`--coords map|world, pas ${args.coords}`);
+  if (!args.points && !args.file) fail("--points ou --file requis");
+
+  let points;
+  try {
+    points = readPoints();
+  } catch (err) {
+    fail(err.message);
+  }
+
+  const samples = toSamples(points, args.coords, WORLD_TO_MAP);
+  if (samples.length < 2) fail("Il faut au moins 2 repères (3 ou plus conseillés)");
+
+  const fit = fitMapToPx(samples, WORLD_TO_MAP);
+  if (!fit) fail("Repères confondus ou alignés: impossible de résoudre la transformation");
+
+  const current = residualsOf(MAP_TO_PX, samples, WORLD_TO_MAP);
+  const image = path.basename(ASSETS.map);
+
+  console.log(`Image: ${image}`);
+  console.log(
+    `Modèle: ${fit.model === "affine" ? "affine complète" : "échelle + décalage par axe"} (${samples.length} repères)`,
+  );
+  console.log("mapToPx:", JSON.stringify(fit.mapToPx));
+  console.log(
+    `Erreur: RMS ${round(fit.rmsPx)} px, max ${round(fit.maxPx)} px (repère #${fit.worst}) ≈ ${round(fit.maxPx * fit.metersPerPx, 1)} m`,
+  );
+  if (fit.exact) {
+    console.log(
+      "⚠️ Autant de repères que d'inconnues: l'erreur est nulle par construction, ajoute des repères pour la vérifier",
+    );
+  }
+  console.log(
+    `Calibration actuelle sur ces repères: RMS ${round(current.rmsPx)} px, max ${round(current.maxPx)} px (repère #${current.worst})`,
+  );
+  fit.errors.forEach((e, i) => {
+    const [x, y, px, py] = points[i];
+    console.log(
+      `  #${i + 1} (${x}, ${y}) -> (${px}, ${py}): ${round(e)} px, actuelle ${round(current.errors[i])} px`,
+    );
+  });
+
+  if (args.out) {
+    const debug = await renderCalibrationDebug(samples, fit.mapToPx, { current: MAP_TO_PX });
+    fs.writeFileSync(args.out, debug);
+    console.log(`Image de contrôle: ${args.out}`);
+  }
+
+  if (args.save) {
+    const { width, height } = await sharp(ASSETS.map).metadata();
+    saveCalibration(ASSETS.map, {
+      width,
+      height,
+      worldToMap: WORLD_TO_MAP,
+      mapToPx: fit.mapToPx,
+      coords: args.coords,
+      points,
+      rmsPx: round(fit.rmsPx, 3),
+      fittedAt: new Date().toISOString(),
+    });
+    console.log(`✅ Calibration de ${image} enregistrée dans ${CALIBRATION_FILE} (redémarre le bot)`);
+  }
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,236 @@
+// Calibration de l'image de carte: coordonnées monde -> coordonnées affichées
+// en jeu -> pixels de l'image. Une entrée par image dans assets/calibration.json
+// (clé = nom du fichier), ajustée avec `yarn calibrate` (voir calibrate.js).
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { isMainThread } from "node:worker_threads";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ====== ENV ======
+const CALIBRATION_FILE = path.resolve(
+  __dirname,
+  process.env.CALIBRATION_FILE ?? "../assets/calibration.json",
+);
+
+// image livrée avec le bot: sa calibration sert de repli pour une image inconnue
+const DEFAULT_MAP_IMAGE = "T_WorldMap.png";
+
+// Propre au jeu (coordonnées affichées en jeu), pas à l'image: surchargeable
+// par image au cas où une mise à jour du jeu la changerait
+const DEFAULT_WORLD_TO_MAP = {
+  transl_x: 123888,
+  transl_y: 158000,
+  scale: 459,
+};
+
+// ====== CONFIG ======
+// { "<image>": { width, height, worldToMap?, mapToPx, points?, rmsPx?, fittedAt? } }
+function loadCalibrations() {
+  let raw;
+  try {
+    raw = fs.readFileSync(CALIBRATION_FILE, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw err;
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`${CALIBRATION_FILE} illisible: ${err.message}`);
+  }
+}
+
+function calibrationFor(imagePath) {
+  const image = path.basename(imagePath);
+  const all = loadCalibrations();
+
+  let entry = all[image];
+  if (!entry) {
+    entry = all[DEFAULT_MAP_IMAGE];
+    if (!entry) {
+      throw new Error(
+        `Aucune calibration pour ${image} ni ${DEFAULT_MAP_IMAGE} dans ${CALIBRATION_FILE}`,
+      );
+    }
+    // une fois, pas dans chaque worker de rendu
+    if (isMainThread) {
+      console.warn(
+        `Pas de calibration pour ${image} dans ${path.basename(CALIBRATION_FILE)}: ` +
+          `celle de ${DEFAULT_MAP_IMAGE} est utilisée, les marqueurs seront sans doute décalés (yarn calibrate)`,
+      );
+    }
+  }
+
+  return {
+    image,
+    worldToMap: { ...DEFAULT_WORLD_TO_MAP, ...entry.worldToMap },
+    mapToPx: { E: 0, F: 0, ...entry.mapToPx },
+  };
+}
+
+function saveCalibration(imagePath, entry) {
+  const all = loadCalibrations();
+  all[path.basename(imagePath)] = entry;
+
+  const tmp = `${CALIBRATION_FILE}.tmp`;
+  fs.writeFileSync(tmp, `${JSON.stringify(all, null, 2)}\n`, "utf8");
+  fs.renameSync(tmp, CALIBRATION_FILE);
+}
+
+// ====== TRANSFORMS ======
+// mapToPx = { A, B, C, D, E, F }:
+//   px = A·mapX + E·mapY + B
+//   py = F·mapX + C·mapY + D
+// (E = F = 0: échelle + décalage par axe, le cas des images alignées)
+function worldToMapWith(w, worldX, worldY) {
+  return {
+    mapX: (worldY - w.transl_y) / w.scale,
+    mapY: (worldX + w.transl_x) / w.scale,
+  };
+}
+
+function mapToPixelWith(m, mapX, mapY) {
+  return {
+    px: m.A * mapX + m.E * mapY + m.B,
+    py: m.F * mapX + m.C * mapY + m.D,
+  };
+}
+
+function pixelToMapWith(m, px, py) {
+  const det = m.A * m.C - m.E * m.F;
+  const dx = px - m.B;
+  const dy = py - m.D;
+  return {
+    mapX: (m.C * dx - m.E * dy) / det,
+    mapY: (m.A * dy - m.F * dx) / det,
+  };
+}
+
+// ====== FIT ======
+// "x y px py; x y px py; …" (virgules acceptées entre les nombres)
+// -> [[x, y, px, py], …] ; erreur { index, point } sur un point illisible
+function parseCalibrationPoints(text) {
+  return String(text ?? "")
+    .split(/[;\n]/)
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((point, i) => {
+      const nums = point.split(/[\s,]+/).map(Number);
+      if (nums.length !== 4 || nums.some((n) => !Number.isFinite(n))) {
+        throw Object.assign(new Error(`Point ${i + 1} illisible: ${point}`), {
+          index: i + 1,
+          point,
+        });
+      }
+      return nums;
+    });
+}
+
+// [[x, y, px, py], …] -> repères { mapX, mapY, px, py }; coords = "map" pour
+// les coordonnées affichées en jeu, "world" pour les coordonnées brutes (cm)
+function toSamples(points, coords = "map", worldToMap = DEFAULT_WORLD_TO_MAP) {
+  return points.map(([x, y, px, py]) => {
+    const { mapX, mapY } =
+      coords === "world" ? worldToMapWith(worldToMap, x, y) : { mapX: x, mapY: y };
+    return { mapX, mapY, px, py };
+  });
+}
+
+// Moindres carrés: (XᵀX)·θ = Xᵀ·y, élimination de Gauss avec pivot partiel.
+// null si le système est singulier (points alignés ou confondus).
+function leastSquares(rows, ys) {
+  const n = rows[0].length;
+  const m = Array.from({ length: n }, () => new Array(n + 1).fill(0));
+  rows.forEach((row, k) => {
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) m[i][j] += row[i] * row[j];
+      m[i][n] += row[i] * ys[k];
+    }
+  });
+
+  const scale = Math.max(...m.map((r, i) => Math.abs(r[i])), 1);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    }
+    if (Math.abs(m[pivot][col]) < scale * 1e-10) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = m[r][col] / m[col][col];
+      for (let c = col; c <= n; c++) m[r][c] -= f * m[col][c];
+    }
+  }
+
+  return m.map((r, i) => r[n] / r[i]);
+}
+
+// Écart (px image) entre chaque repère et la position calculée par mapToPx;
+// en mètres via l'échelle moyenne de la transformation
+function residualsOf(mapToPx, samples, worldToMap = DEFAULT_WORLD_TO_MAP) {
+  const errors = samples.map((s) => {
+    const { px, py } = mapToPixelWith(mapToPx, s.mapX, s.mapY);
+    return Math.hypot(px - s.px, py - s.py);
+  });
+  const pxPerMapUnit = Math.sqrt(Math.abs(mapToPx.A * mapToPx.C - mapToPx.E * mapToPx.F));
+  const metersPerPx = worldToMap.scale / 100 / pxPerMapUnit;
+  const maxPx = Math.max(...errors);
+
+  return {
+    errors,
+    rmsPx: Math.sqrt(errors.reduce((a, e) => a + e * e, 0) / errors.length),
+    maxPx,
+    worst: errors.indexOf(maxPx) + 1,
+    metersPerPx,
+  };
+}
+
+// samples: [{ mapX, mapY, px, py }]. 3 repères ou plus: affine complète
+// (rotation, cisaillement); 2 repères, ou repères alignés: échelle +
+// décalage par axe. null si rien ne peut être résolu.
+function fitMapToPx(samples, worldToMap = DEFAULT_WORLD_TO_MAP) {
+  if (samples.length < 2) return null;
+
+  let mapToPx = null;
+  let model = "affine";
+  if (samples.length >= 3) {
+    const rows = samples.map((s) => [s.mapX, s.mapY, 1]);
+    const x = leastSquares(rows, samples.map((s) => s.px));
+    const y = leastSquares(rows, samples.map((s) => s.py));
+    if (x && y) mapToPx = { A: x[0], B: x[2], C: y[1], D: y[2], E: x[1], F: y[0] };
+  }
+
+  if (!mapToPx) {
+    model = "axes";
+    const x = leastSquares(samples.map((s) => [s.mapX, 1]), samples.map((s) => s.px));
+    const y = leastSquares(samples.map((s) => [s.mapY, 1]), samples.map((s) => s.py));
+    if (!x || !y) return null;
+    mapToPx = { A: x[0], B: x[1], C: y[0], D: y[1], E: 0, F: 0 };
+  }
+
+  if (Math.abs(mapToPx.A * mapToPx.C - mapToPx.E * mapToPx.F) < 1e-12) return null;
+
+  // exactement autant d'inconnues que d'équations: l'erreur ne dit rien
+  const exact = samples.length === (model === "affine" ? 3 : 2);
+  return { mapToPx, model, exact, ...residualsOf(mapToPx, samples, worldToMap) };
+}
+
+export {
+  CALIBRATION_FILE,
+  DEFAULT_WORLD_TO_MAP,
+  calibrationFor,
+  saveCalibration,
+  worldToMapWith,
+  mapToPixelWith,
+  pixelToMapWith,
+  parseCalibrationPoints,
+  toSamples,
+  fitMapToPx,
+  residualsOf,
+};
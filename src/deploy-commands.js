@@ -1,51 +1,1012 @@
 import "dotenv/config";
-import {
-  REST,
-  Routes,
-  SlashCommandBuilder,
-  PermissionFlagsBits,
-} from "discord.js";
+import { PermissionFlagsBits, REST, Routes, SlashCommandBuilder } from "discord.js";
+
+import { LANGUAGE_NAMES, LOCALES, discordLocalizations, t } from "./i18n.js";
+
+// Textes en français par défaut, traduits selon la langue du client Discord
+const desc = (key) => t("fr", key);
+const localized = (key) => discordLocalizations(key);
+const named = (name) => discordLocalizations(`name.${name}`);
+const choice = (key, value) => ({
+  name: t("fr", key),
+  name_localizations: discordLocalizations(key),
+  value,
+});
 
 const commands = [
   new SlashCommandBuilder()
     .setName("palmap")
-    .setDescription("Configurer la carte Palworld (snapshot).")
+    .setNameLocalizations(named("palmap"))
+    .setDescription(desc("cmd.palmap"))
+    .setDescriptionLocalizations(localized("cmd.palmap"))
     .addSubcommand((sc) =>
       sc
         .setName("add")
-        .setDescription(
-          "Attacher la live-map à un canal (un seul message édité).",
-        )
+        .setNameLocalizations(named("add"))
+        .setDescription(desc("cmd.add"))
+        .setDescriptionLocalizations(localized("cmd.add"))
         .addChannelOption((opt) =>
           opt
             .setName("channel")
-            .setDescription("Canal où poster/éditer la carte")
+            .setNameLocalizations(named("channel"))
+            .setDescription(desc("cmd.add.channel"))
+            .setDescriptionLocalizations(localized("cmd.add.channel"))
             .setRequired(true),
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("server")
+            .setNameLocalizations(named("server"))
+            .setDescription(desc("cmd.server"))
+            .setDescriptionLocalizations(localized("cmd.server"))
+            .setAutocomplete(true)
+            .setRequired(false),
         ),
     )
     .addSubcommand((sc) =>
       sc
         .setName("remove")
-        .setDescription(
-          "Détacher la live-map de ce serveur (arrête les updates).",
+        .setNameLocalizations(named("remove"))
+        .setDescription(desc("cmd.remove"))
+        .setDescriptionLocalizations(localized("cmd.remove"))
+        .addStringOption((opt) =>
+          opt
+            .setName("server")
+            .setNameLocalizations(named("server"))
+            .setDescription(desc("cmd.server"))
+            .setDescriptionLocalizations(localized("cmd.server"))
+            .setAutocomplete(true)
+            .setRequired(false),
         ),
     )
     .addSubcommand((sc) =>
       sc
         .setName("status")
-        .setDescription(
-          "Voir la config actuelle de la live-map sur ce serveur.",
+        .setNameLocalizations(named("status"))
+        .setDescription(desc("cmd.status"))
+        .setDescriptionLocalizations(localized("cmd.status")),
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("events")
+        .setNameLocalizations(named("events"))
+        .setDescription(desc("cmd.events"))
+        .setDescriptionLocalizations(localized("cmd.events"))
+        .addChannelOption((opt) =>
+          opt
+            .setName("channel")
+            .setNameLocalizations(named("channel"))
+            .setDescription(desc("cmd.events.channel"))
+            .setDescriptionLocalizations(localized("cmd.events.channel"))
+            .setRequired(false),
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("server")
+            .setNameLocalizations(named("server"))
+            .setDescription(desc("cmd.server"))
+            .setDescriptionLocalizations(localized("cmd.server"))
+            .setAutocomplete(true)
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("trails")
+        .setNameLocalizations(named("trails"))
+        .setDescription(desc("cmd.trails"))
+        .setDescriptionLocalizations(localized("cmd.trails"))
+        .addIntegerOption((opt) =>
+          opt
+            .setName("hours")
+            .setNameLocalizations(named("hours"))
+            .setDescription(desc("cmd.trails.hours"))
+            .setDescriptionLocalizations(localized("cmd.trails.hours"))
+            .setMinValue(0)
+            .setMaxValue(72)
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("heatmap")
+        .setNameLocalizations(named("heatmap"))
+        .setDescription(desc("cmd.heatmap"))
+        .setDescriptionLocalizations(localized("cmd.heatmap"))
+        .addIntegerOption((opt) =>
+          opt
+            .setName("hours")
+            .setNameLocalizations(named("hours"))
+            .setDescription(desc("cmd.heatmap.hours"))
+            .setDescriptionLocalizations(localized("cmd.heatmap.hours"))
+            .setMinValue(1)
+            .setMaxValue(168)
+            .setRequired(false),
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("server")
+            .setNameLocalizations(named("server"))
+            .setDescription(desc("cmd.server"))
+            .setDescriptionLocalizations(localized("cmd.server"))
+            .setAutocomplete(true)
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("timelapse")
+        .setNameLocalizations(named("timelapse"))
+        .setDescription(desc("cmd.timelapse"))
+        .setDescriptionLocalizations(localized("cmd.timelapse"))
+        .addIntegerOption((opt) =>
+          opt
+            .setName("hours")
+            .setNameLocalizations(named("hours"))
+            .setDescription(desc("cmd.timelapse.hours"))
+            .setDescriptionLocalizations(localized("cmd.timelapse.hours"))
+            .setMinValue(1)
+            .setMaxValue(168)
+            .setRequired(false),
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("format")
+            .setNameLocalizations(named("format"))
+            .setDescription(desc("cmd.timelapse.format"))
+            .setDescriptionLocalizations(localized("cmd.timelapse.format"))
+            .addChoices(
+              choice("cmd.timelapse.format.webp", "webp"),
+              choice("cmd.timelapse.format.gif", "gif"),
+            ),
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("server")
+            .setNameLocalizations(named("server"))
+            .setDescription(desc("cmd.server"))
+            .setDescriptionLocalizations(localized("cmd.server"))
+            .setAutocomplete(true)
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("zoom")
+        .setNameLocalizations(named("zoom"))
+        .setDescription(desc("cmd.zoom"))
+        .setDescriptionLocalizations(localized("cmd.zoom"))
+        .addStringOption((opt) =>
+          opt
+            .setName("player")
+            .setNameLocalizations(named("player"))
+            .setDescription(desc("cmd.zoom.player"))
+            .setDescriptionLocalizations(localized("cmd.zoom.player"))
+            .setAutocomplete(true)
+            .setRequired(false),
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("guild")
+            .setNameLocalizations(named("guild"))
+            .setDescription(desc("cmd.zoom.guild"))
+            .setDescriptionLocalizations(localized("cmd.zoom.guild"))
+            .setAutocomplete(true)
+            .setRequired(false),
+        )
+        .addNumberOption((opt) =>
+          opt
+            .setName("x")
+            .setNameLocalizations(named("x"))
+            .setDescription(desc("cmd.zoom.x"))
+            .setDescriptionLocalizations(localized("cmd.zoom.x"))
+            .setRequired(false),
+        )
+        .addNumberOption((opt) =>
+          opt
+            .setName("y")
+            .setNameLocalizations(named("y"))
+            .setDescription(desc("cmd.zoom.y"))
+            .setDescriptionLocalizations(localized("cmd.zoom.y"))
+            .setRequired(false),
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("server")
+            .setNameLocalizations(named("server"))
+            .setDescription(desc("cmd.server"))
+            .setDescriptionLocalizations(localized("cmd.server"))
+            .setAutocomplete(true)
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("where")
+        .setNameLocalizations(named("where"))
+        .setDescription(desc("cmd.where"))
+        .setDescriptionLocalizations(localized("cmd.where"))
+        .addStringOption((opt) =>
+          opt
+            .setName("player")
+            .setNameLocalizations(named("player"))
+            .setDescription(desc("cmd.where.player"))
+            .setDescriptionLocalizations(localized("cmd.where.player"))
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("server")
+            .setNameLocalizations(named("server"))
+            .setDescription(desc("cmd.server"))
+            .setDescriptionLocalizations(localized("cmd.server"))
+            .setAutocomplete(true)
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("stats")
+        .setNameLocalizations(named("stats"))
+        .setDescription(desc("cmd.stats"))
+        .setDescriptionLocalizations(localized("cmd.stats"))
+        .addStringOption((opt) =>
+          opt
+            .setName("period")
+            .setNameLocalizations(named("period"))
+            .setDescription(desc("cmd.stats.period"))
+            .setDescriptionLocalizations(localized("cmd.stats.period"))
+            .addChoices(
+              choice("stats.period.week", "week"),
+              choice("stats.period.month", "month"),
+              choice("stats.period.all", "all"),
+            ),
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("player")
+            .setNameLocalizations(named("player"))
+            .setDescription(desc("cmd.stats.player"))
+            .setDescriptionLocalizations(localized("cmd.stats.player"))
+            .setAutocomplete(true),
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("server")
+            .setNameLocalizations(named("server"))
+            .setDescription(desc("cmd.server"))
+            .setDescriptionLocalizations(localized("cmd.server"))
+            .setAutocomplete(true)
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("color")
+        .setNameLocalizations(named("color"))
+        .setDescription(desc("cmd.color"))
+        .setDescriptionLocalizations(localized("cmd.color"))
+        .addStringOption((opt) =>
+          opt
+            .setName("guild")
+            .setNameLocalizations(named("guild"))
+            .setDescription(desc("cmd.color.guild"))
+            .setDescriptionLocalizations(localized("cmd.color.guild"))
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("hex")
+            .setNameLocalizations(named("hex"))
+            .setDescription(desc("cmd.color.hex"))
+            .setDescriptionLocalizations(localized("cmd.color.hex"))
+            .setMaxLength(7),
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("server")
+            .setNameLocalizations(named("server"))
+            .setDescription(desc("cmd.server"))
+            .setDescriptionLocalizations(localized("cmd.server"))
+            .setAutocomplete(true)
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("palette")
+        .setNameLocalizations(named("palette"))
+        .setDescription(desc("cmd.palette"))
+        .setDescriptionLocalizations(localized("cmd.palette"))
+        .addStringOption((opt) =>
+          opt
+            .setName("palette")
+            .setNameLocalizations(named("palette"))
+            .setDescription(desc("cmd.palette.palette"))
+            .setDescriptionLocalizations(localized("cmd.palette.palette"))
+            .addChoices(
+              choice("palette.classic", "classic"),
+              choice("palette.colorblind", "colorblind"),
+            )
+            .setRequired(true),
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("server")
+            .setNameLocalizations(named("server"))
+            .setDescription(desc("cmd.server"))
+            .setDescriptionLocalizations(localized("cmd.server"))
+            .setAutocomplete(true)
+            .setRequired(false),
         ),
     )
     .addSubcommand((sc) =>
       sc
         .setName("force")
-        .setDescription(
-          "Forcer un refresh immédiat (même si rien n’a changé).",
+        .setNameLocalizations(named("force"))
+        .setDescription(desc("cmd.force"))
+        .setDescriptionLocalizations(localized("cmd.force"))
+        .addStringOption((opt) =>
+          opt
+            .setName("server")
+            .setNameLocalizations(named("server"))
+            .setDescription(desc("cmd.server"))
+            .setDescriptionLocalizations(localized("cmd.server"))
+            .setAutocomplete(true)
+            .setRequired(false),
         ),
     )
+    .addSubcommand((sc) =>
+      sc
+        .setName("schedule")
+        .setNameLocalizations(named("schedule"))
+        .setDescription(desc("cmd.schedule"))
+        .setDescriptionLocalizations(localized("cmd.schedule"))
+        .addIntegerOption((opt) =>
+          opt
+            .setName("active")
+            .setNameLocalizations(named("active"))
+            .setDescription(desc("cmd.schedule.active"))
+            .setDescriptionLocalizations(localized("cmd.schedule.active"))
+            .setMinValue(1)
+            .setMaxValue(240),
+        )
+        .addIntegerOption((opt) =>
+          opt
+            .setName("idle")
+            .setNameLocalizations(named("idle"))
+            .setDescription(desc("cmd.schedule.idle"))
+            .setDescriptionLocalizations(localized("cmd.schedule.idle"))
+            .setMinValue(1)
+            .setMaxValue(240),
+        )
+        .addIntegerOption((opt) =>
+          opt
+            .setName("quiet_start")
+            .setNameLocalizations(named("quiet_start"))
+            .setDescription(desc("cmd.schedule.quiet_start"))
+            .setDescriptionLocalizations(localized("cmd.schedule.quiet_start"))
+            .setMinValue(0)
+            .setMaxValue(23),
+        )
+        .addIntegerOption((opt) =>
+          opt
+            .setName("quiet_end")
+            .setNameLocalizations(named("quiet_end"))
+            .setDescription(desc("cmd.schedule.quiet_end"))
+            .setDescriptionLocalizations(localized("cmd.schedule.quiet_end"))
+            .setMinValue(0)
+            .setMaxValue(23),
+        )
+        .addIntegerOption((opt) =>
+          opt
+            .setName("quiet")
+            .setNameLocalizations(named("quiet"))
+            .setDescription(desc("cmd.schedule.quiet"))
+            .setDescriptionLocalizations(localized("cmd.schedule.quiet"))
+            .setMinValue(0)
+            .setMaxValue(240),
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("timezone")
+            .setNameLocalizations(named("timezone"))
+            .setDescription(desc("cmd.schedule.timezone"))
+            .setDescriptionLocalizations(localized("cmd.schedule.timezone"))
+            .setAutocomplete(true)
+            .setMaxLength(64),
+        )
+        .addBooleanOption((opt) =>
+          opt
+            .setName("reset")
+            .setNameLocalizations(named("reset"))
+            .setDescription(desc("cmd.schedule.reset"))
+            .setDescriptionLocalizations(localized("cmd.schedule.reset")),
+        ),
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("calibrate")
+        .setNameLocalizations(named("calibrate"))
+        .setDescription(desc("cmd.calibrate"))
+        .setDescriptionLocalizations(localized("cmd.calibrate"))
+        .addStringOption((opt) =>
+          opt
+            .setName("points")
+            .setNameLocalizations(named("points"))
+            .setDescription(desc("cmd.calibrate.points"))
+            .setDescriptionLocalizations(localized("cmd.calibrate.points"))
+            .setMaxLength(1000)
+            .setRequired(true),
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("coords")
+            .setNameLocalizations(named("coords"))
+            .setDescription(desc("cmd.calibrate.coords"))
+            .setDescriptionLocalizations(localized("cmd.calibrate.coords"))
+            .addChoices(
+              choice("calibrate.coords.map", "map"),
+              choice("calibrate.coords.world", "world"),
+            )
+            .setRequired(false),
+        ),
+    )
+    .addSubcommandGroup((group) =>
+      group
+        .setName("alerts")
+        .setNameLocalizations(named("alerts"))
+        .setDescription(desc("cmd.alerts"))
+        .setDescriptionLocalizations(localized("cmd.alerts"))
+        .addSubcommand((sc) =>
+          sc
+            .setName("set")
+            .setNameLocalizations(named("set"))
+            .setDescription(desc("cmd.alerts.set"))
+            .setDescriptionLocalizations(localized("cmd.alerts.set"))
+            .addChannelOption((opt) =>
+              opt
+                .setName("channel")
+                .setNameLocalizations(named("channel"))
+                .setDescription(desc("cmd.alerts.set.channel"))
+                .setDescriptionLocalizations(localized("cmd.alerts.set.channel"))
+                .setRequired(true),
+            )
+            .addIntegerOption((opt) =>
+              opt
+                .setName("radius")
+                .setNameLocalizations(named("radius"))
+                .setDescription(desc("cmd.alerts.set.radius"))
+                .setDescriptionLocalizations(localized("cmd.alerts.set.radius"))
+                .setMinValue(20)
+                .setMaxValue(2000),
+            )
+            .addIntegerOption((opt) =>
+              opt
+                .setName("cooldown")
+                .setNameLocalizations(named("cooldown"))
+                .setDescription(desc("cmd.alerts.set.cooldown"))
+                .setDescriptionLocalizations(localized("cmd.alerts.set.cooldown"))
+                .setMinValue(1)
+                .setMaxValue(1440),
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("server")
+                .setNameLocalizations(named("server"))
+                .setDescription(desc("cmd.server"))
+                .setDescriptionLocalizations(localized("cmd.server"))
+                .setAutocomplete(true)
+                .setRequired(false),
+            ),
+        )
+        .addSubcommand((sc) =>
+          sc
+            .setName("role")
+            .setNameLocalizations(named("role"))
+            .setDescription(desc("cmd.alerts.role"))
+            .setDescriptionLocalizations(localized("cmd.alerts.role"))
+            .addStringOption((opt) =>
+              opt
+                .setName("guild")
+                .setNameLocalizations(named("guild"))
+                .setDescription(desc("cmd.alerts.role.guild"))
+                .setDescriptionLocalizations(localized("cmd.alerts.role.guild"))
+                .setAutocomplete(true)
+                .setRequired(true),
+            )
+            .addRoleOption((opt) =>
+              opt
+                .setName("role")
+                .setNameLocalizations(named("role"))
+                .setDescription(desc("cmd.alerts.role.role"))
+                .setDescriptionLocalizations(localized("cmd.alerts.role.role")),
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("server")
+                .setNameLocalizations(named("server"))
+                .setDescription(desc("cmd.server"))
+                .setDescriptionLocalizations(localized("cmd.server"))
+                .setAutocomplete(true)
+                .setRequired(false),
+            ),
+        )
+        .addSubcommand((sc) =>
+          sc
+            .setName("off")
+            .setNameLocalizations(named("off"))
+            .setDescription(desc("cmd.alerts.off"))
+            .setDescriptionLocalizations(localized("cmd.alerts.off"))
+            .addStringOption((opt) =>
+              opt
+                .setName("server")
+                .setNameLocalizations(named("server"))
+                .setDescription(desc("cmd.server"))
+                .setDescriptionLocalizations(localized("cmd.server"))
+                .setAutocomplete(true)
+                .setRequired(false),
+            ),
+        ),
+    )
+    .addSubcommandGroup((group) =>
+      group
+        .setName("privacy")
+        .setNameLocalizations(named("privacy"))
+        .setDescription(desc("cmd.privacy"))
+        .setDescriptionLocalizations(localized("cmd.privacy"))
+        .addSubcommand((sc) =>
+          sc
+            .setName("approve")
+            .setNameLocalizations(named("approve"))
+            .setDescription(desc("cmd.privacy.approve"))
+            .setDescriptionLocalizations(localized("cmd.privacy.approve"))
+            .addUserOption((opt) =>
+              opt
+                .setName("user")
+                .setNameLocalizations(named("user"))
+                .setDescription(desc("cmd.privacy.approve.user"))
+                .setDescriptionLocalizations(localized("cmd.privacy.approve.user"))
+                .setRequired(true),
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("player")
+                .setNameLocalizations(named("player"))
+                .setDescription(desc("cmd.privacy.approve.player"))
+                .setDescriptionLocalizations(localized("cmd.privacy.approve.player"))
+                .setAutocomplete(true)
+                .setRequired(false),
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("server")
+                .setNameLocalizations(named("server"))
+                .setDescription(desc("cmd.server"))
+                .setDescriptionLocalizations(localized("cmd.server"))
+                .setAutocomplete(true)
+                .setRequired(false),
+            ),
+        )
+        .addSubcommand((sc) =>
+          sc
+            .setName("reject")
+            .setNameLocalizations(named("reject"))
+            .setDescription(desc("cmd.privacy.reject"))
+            .setDescriptionLocalizations(localized("cmd.privacy.reject"))
+            .addUserOption((opt) =>
+              opt
+                .setName("user")
+                .setNameLocalizations(named("user"))
+                .setDescription(desc("cmd.privacy.reject.user"))
+                .setDescriptionLocalizations(localized("cmd.privacy.reject.user"))
+                .setRequired(true),
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("server")
+                .setNameLocalizations(named("server"))
+                .setDescription(desc("cmd.server"))
+                .setDescriptionLocalizations(localized("cmd.server"))
+                .setAutocomplete(true)
+                .setRequired(false),
+            ),
+        )
+        .addSubcommand((sc) =>
+          sc
+            .setName("pending")
+            .setNameLocalizations(named("pending"))
+            .setDescription(desc("cmd.privacy.pending"))
+            .setDescriptionLocalizations(localized("cmd.privacy.pending"))
+            .addStringOption((opt) =>
+              opt
+                .setName("server")
+                .setNameLocalizations(named("server"))
+                .setDescription(desc("cmd.server"))
+                .setDescriptionLocalizations(localized("cmd.server"))
+                .setAutocomplete(true)
+                .setRequired(false),
+            ),
+        )
+        .addSubcommand((sc) =>
+          sc
+            .setName("unlink")
+            .setNameLocalizations(named("unlink"))
+            .setDescription(desc("cmd.privacy.unlink"))
+            .setDescriptionLocalizations(localized("cmd.privacy.unlink"))
+            .addUserOption((opt) =>
+              opt
+                .setName("user")
+                .setNameLocalizations(named("user"))
+                .setDescription(desc("cmd.privacy.unlink.user"))
+                .setDescriptionLocalizations(localized("cmd.privacy.unlink.user"))
+                .setRequired(true),
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("server")
+                .setNameLocalizations(named("server"))
+                .setDescription(desc("cmd.server"))
+                .setDescriptionLocalizations(localized("cmd.server"))
+                .setAutocomplete(true)
+                .setRequired(false),
+            ),
+        )
+        .addSubcommand((sc) =>
+          sc
+            .setName("camps")
+            .setNameLocalizations(named("camps"))
+            .setDescription(desc("cmd.privacy.camps"))
+            .setDescriptionLocalizations(localized("cmd.privacy.camps"))
+            .addStringOption((opt) =>
+              opt
+                .setName("guild")
+                .setNameLocalizations(named("guild"))
+                .setDescription(desc("cmd.privacy.camps.guild"))
+                .setDescriptionLocalizations(localized("cmd.privacy.camps.guild"))
+                .setAutocomplete(true)
+                .setRequired(true),
+            )
+            .addBooleanOption((opt) =>
+              opt
+                .setName("hidden")
+                .setNameLocalizations(named("hidden"))
+                .setDescription(desc("cmd.privacy.camps.hidden"))
+                .setDescriptionLocalizations(localized("cmd.privacy.camps.hidden"))
+                .setRequired(true),
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("server")
+                .setNameLocalizations(named("server"))
+                .setDescription(desc("cmd.server"))
+                .setDescriptionLocalizations(localized("cmd.server"))
+                .setAutocomplete(true)
+                .setRequired(false),
+            ),
+        )
+        .addSubcommand((sc) =>
+          sc
+            .setName("public")
+            .setNameLocalizations(named("public"))
+            .setDescription(desc("cmd.privacy.public"))
+            .setDescriptionLocalizations(localized("cmd.privacy.public"))
+            .addIntegerOption((opt) =>
+              opt
+                .setName("delay")
+                .setNameLocalizations(named("delay"))
+                .setDescription(desc("cmd.privacy.public.delay"))
+                .setDescriptionLocalizations(localized("cmd.privacy.public.delay"))
+                .setMinValue(0)
+                .setMaxValue(240),
+            )
+            .addIntegerOption((opt) =>
+              opt
+                .setName("fuzz")
+                .setNameLocalizations(named("fuzz"))
+                .setDescription(desc("cmd.privacy.public.fuzz"))
+                .setDescriptionLocalizations(localized("cmd.privacy.public.fuzz"))
+                .setMinValue(0)
+                .setMaxValue(1000),
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("server")
+                .setNameLocalizations(named("server"))
+                .setDescription(desc("cmd.server"))
+                .setDescriptionLocalizations(localized("cmd.server"))
+                .setAutocomplete(true)
+                .setRequired(false),
+            ),
+        )
+        .addSubcommand((sc) =>
+          sc
+            .setName("staff")
+            .setNameLocalizations(named("staff"))
+            .setDescription(desc("cmd.privacy.staff"))
+            .setDescriptionLocalizations(localized("cmd.privacy.staff"))
+            .addChannelOption((opt) =>
+              opt
+                .setName("channel")
+                .setNameLocalizations(named("channel"))
+                .setDescription(desc("cmd.privacy.staff.channel"))
+                .setDescriptionLocalizations(localized("cmd.privacy.staff.channel")),
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("server")
+                .setNameLocalizations(named("server"))
+                .setDescription(desc("cmd.server"))
+                .setDescriptionLocalizations(localized("cmd.server"))
+                .setAutocomplete(true)
+                .setRequired(false),
+            ),
+        ),
+    )
+    .addSubcommandGroup((group) =>
+      group
+        .setName("config")
+        .setNameLocalizations(named("config"))
+        .setDescription(desc("cmd.config"))
+        .setDescriptionLocalizations(localized("cmd.config"))
+        .addSubcommand((sc) =>
+          sc
+            .setName("show")
+            .setNameLocalizations(named("show"))
+            .setDescription(desc("cmd.config.show"))
+            .setDescriptionLocalizations(localized("cmd.config.show")),
+        )
+        .addSubcommand((sc) =>
+          sc
+            .setName("set")
+            .setNameLocalizations(named("set"))
+            .setDescription(desc("cmd.config.set"))
+            .setDescriptionLocalizations(localized("cmd.config.set"))
+            .addBooleanOption((opt) =>
+              opt
+                .setName("players")
+                .setNameLocalizations(named("players"))
+                .setDescription(desc("cmd.config.set.players"))
+                .setDescriptionLocalizations(localized("cmd.config.set.players")),
+            )
+            .addBooleanOption((opt) =>
+              opt
+                .setName("names")
+                .setNameLocalizations(named("names"))
+                .setDescription(desc("cmd.config.set.names"))
+                .setDescriptionLocalizations(localized("cmd.config.set.names")),
+            )
+            .addBooleanOption((opt) =>
+              opt
+                .setName("camps")
+                .setNameLocalizations(named("camps"))
+                .setDescription(desc("cmd.config.set.camps"))
+                .setDescriptionLocalizations(localized("cmd.config.set.camps")),
+            )
+            .addBooleanOption((opt) =>
+              opt
+                .setName("legend")
+                .setNameLocalizations(named("legend"))
+                .setDescription(desc("cmd.config.set.legend"))
+                .setDescriptionLocalizations(localized("cmd.config.set.legend")),
+            )
+            .addBooleanOption((opt) =>
+              opt
+                .setName("territory")
+                .setNameLocalizations(named("territory"))
+                .setDescription(desc("cmd.config.set.territory"))
+                .setDescriptionLocalizations(localized("cmd.config.set.territory")),
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("territory_mode")
+                .setNameLocalizations(named("territory_mode"))
+                .setDescription(desc("cmd.config.set.territory_mode"))
+                .setDescriptionLocalizations(localized("cmd.config.set.territory_mode"))
+                .addChoices(
+                  choice("cmd.config.set.territory_mode.circles", "circles"),
+                  choice("cmd.config.set.territory_mode.hull", "hull"),
+                ),
+            )
+            .addIntegerOption((opt) =>
+              opt
+                .setName("territory_radius")
+                .setNameLocalizations(named("territory_radius"))
+                .setDescription(desc("cmd.config.set.territory_radius"))
+                .setDescriptionLocalizations(localized("cmd.config.set.territory_radius"))
+                .setMinValue(35)
+                .setMaxValue(2000),
+            )
+            .addBooleanOption((opt) =>
+              opt
+                .setName("grid")
+                .setNameLocalizations(named("grid"))
+                .setDescription(desc("cmd.config.set.grid"))
+                .setDescriptionLocalizations(localized("cmd.config.set.grid")),
+            )
+            .addIntegerOption((opt) =>
+              opt
+                .setName("grid_step")
+                .setNameLocalizations(named("grid_step"))
+                .setDescription(desc("cmd.config.set.grid_step"))
+                .setDescriptionLocalizations(localized("cmd.config.set.grid_step"))
+                .setMinValue(0)
+                .setMaxValue(1000),
+            )
+            .addBooleanOption((opt) =>
+              opt
+                .setName("stale_grey")
+                .setNameLocalizations(named("stale_grey"))
+                .setDescription(desc("cmd.config.set.stale_grey"))
+                .setDescriptionLocalizations(localized("cmd.config.set.stale_grey")),
+            )
+            .addBooleanOption((opt) =>
+              opt
+                .setName("poi")
+                .setNameLocalizations(named("poi"))
+                .setDescription(desc("cmd.config.set.poi"))
+                .setDescriptionLocalizations(localized("cmd.config.set.poi")),
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("poi_categories")
+                .setNameLocalizations(named("poi_categories"))
+                .setDescription(desc("cmd.config.set.poi_categories"))
+                .setDescriptionLocalizations(localized("cmd.config.set.poi_categories")),
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("legend_position")
+                .setNameLocalizations(named("legend_position"))
+                .setDescription(desc("cmd.config.set.legend_position"))
+                .setDescriptionLocalizations(localized("cmd.config.set.legend_position"))
+                .addChoices(
+                  choice("cmd.config.set.legend_position.bottom-right", "bottom-right"),
+                  choice("cmd.config.set.legend_position.bottom-left", "bottom-left"),
+                  choice("cmd.config.set.legend_position.top-right", "top-right"),
+                  choice("cmd.config.set.legend_position.top-left", "top-left"),
+                ),
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("legend_title")
+                .setNameLocalizations(named("legend_title"))
+                .setDescription(desc("cmd.config.set.legend_title"))
+                .setDescriptionLocalizations(localized("cmd.config.set.legend_title"))
+                .setMaxLength(40),
+            )
+            .addIntegerOption((opt) =>
+              opt
+                .setName("label_size")
+                .setNameLocalizations(named("label_size"))
+                .setDescription(desc("cmd.config.set.label_size"))
+                .setDescriptionLocalizations(localized("cmd.config.set.label_size"))
+                .setMinValue(12)
+                .setMaxValue(64),
+            )
+            .addIntegerOption((opt) =>
+              opt
+                .setName("size")
+                .setNameLocalizations(named("size"))
+                .setDescription(desc("cmd.config.set.size"))
+                .setDescriptionLocalizations(localized("cmd.config.set.size"))
+                .addChoices(
+                  { name: "2048", value: 2048 },
+                  { name: "4096", value: 4096 },
+                  { name: "8192", value: 8192 },
+                ),
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("format")
+                .setNameLocalizations(named("format"))
+                .setDescription(desc("cmd.config.set.format"))
+                .setDescriptionLocalizations(localized("cmd.config.set.format"))
+                .addChoices(
+                  { name: "JPEG", value: "jpeg" },
+                  { name: "PNG", value: "png" },
+                  { name: "WebP", value: "webp" },
+                ),
+            )
+            .addIntegerOption((opt) =>
+              opt
+                .setName("quality")
+                .setNameLocalizations(named("quality"))
+                .setDescription(desc("cmd.config.set.quality"))
+                .setDescriptionLocalizations(localized("cmd.config.set.quality"))
+                .setMinValue(30)
+                .setMaxValue(100),
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("language")
+                .setNameLocalizations(named("language"))
+                .setDescription(desc("cmd.config.set.language"))
+                .setDescriptionLocalizations(localized("cmd.config.set.language"))
+                .addChoices(
+                  ...LOCALES.map((locale) => ({ name: LANGUAGE_NAMES[locale], value: locale })),
+                ),
+            ),
+        )
+        .addSubcommand((sc) =>
+          sc
+            .setName("reset")
+            .setNameLocalizations(named("reset"))
+            .setDescription(desc("cmd.config.reset"))
+            .setDescriptionLocalizations(localized("cmd.config.reset")),
+        ),
+    )
+    // staff par défaut; where, zoom, stats, heatmap et timelapse s'ouvrent aux
+    // joueurs via Paramètres du serveur > Intégrations (le bot ne les bloque pas)
     .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
     .toJSON(),
+
+  // Ouverte à tous les membres: chacun ne gère que son propre joueur
+  new SlashCommandBuilder()
+    .setName("palprivacy")
+    .setNameLocalizations(named("palprivacy"))
+    .setDescription(desc("cmd.palprivacy"))
+    .setDescriptionLocalizations(localized("cmd.palprivacy"))
+    .addSubcommand((sc) =>
+      sc
+        .setName("link")
+        .setNameLocalizations(named("link"))
+        .setDescription(desc("cmd.privacy.link"))
+        .setDescriptionLocalizations(localized("cmd.privacy.link"))
+        .addStringOption((opt) =>
+          opt
+            .setName("player")
+            .setNameLocalizations(named("player"))
+            .setDescription(desc("cmd.privacy.link.player"))
+            .setDescriptionLocalizations(localized("cmd.privacy.link.player"))
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("server")
+            .setNameLocalizations(named("server"))
+            .setDescription(desc("cmd.server"))
+            .setDescriptionLocalizations(localized("cmd.server"))
+            .setAutocomplete(true)
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("hide")
+        .setNameLocalizations(named("hide"))
+        .setDescription(desc("cmd.privacy.hide"))
+        .setDescriptionLocalizations(localized("cmd.privacy.hide"))
+        .addStringOption((opt) =>
+          opt
+            .setName("server")
+            .setNameLocalizations(named("server"))
+            .setDescription(desc("cmd.server"))
+            .setDescriptionLocalizations(localized("cmd.server"))
+            .setAutocomplete(true)
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("show")
+        .setNameLocalizations(named("show"))
+        .setDescription(desc("cmd.privacy.show"))
+        .setDescriptionLocalizations(localized("cmd.privacy.show"))
+        .addStringOption((opt) =>
+          opt
+            .setName("server")
+            .setNameLocalizations(named("server"))
+            .setDescription(desc("cmd.server"))
+            .setDescriptionLocalizations(localized("cmd.server"))
+            .setAutocomplete(true)
+            .setRequired(false),
+        ),
+    )
+    .toJSON(),
 ];
 
 const rest = new REST({ version: "10" }).setToken(process.env.DISCORD_TOKEN);
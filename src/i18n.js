@@ -0,0 +1,947 @@
+// Textes visibles par les utilisateurs (slash commands, réponses, embeds, images).
+// Le français est la langue de référence: descriptions par défaut des commandes
+// et repli pour toute clé absente d'une autre langue.
+
+// ====== ENV ======
+// Langue des messages publics (live-map, journal, alertes) tant qu'un serveur
+// Discord n'a pas choisi la sienne (/palmap config set language)
+const LOCALES = ["fr", "en"];
+const DEFAULT_LOCALE = LOCALES.includes(process.env.BOT_LOCALE)
+  ? process.env.BOT_LOCALE
+  : "fr";
+
+const LANGUAGE_NAMES = { fr: "Français", en: "English" };
+
+// langue du bot -> locales Discord (setDescriptionLocalizations, choix)
+const DISCORD_LOCALES = { fr: ["fr"], en: ["en-US", "en-GB"] };
+// langue du bot -> locale Intl (dates)
+const INTL_LOCALES = { fr: "fr-FR", en: "en-GB" };
+
+// ====== CATALOG ======
+const MESSAGES = {
+  fr: {
+    // --- slash commands (noms, traduits pour les clients en français) ---
+    "name.active": "actif",
+    "name.add": "ajouter",
+    "name.alerts": "alertes",
+    "name.approve": "valider",
+    "name.calibrate": "calibrer",
+    "name.camps": "bases",
+    "name.channel": "salon",
+    "name.color": "couleur",
+    "name.config": "config",
+    "name.cooldown": "intervalle",
+    "name.coords": "coords",
+    "name.delay": "délai",
+    "name.events": "événements",
+    "name.force": "forcer",
+    "name.format": "format",
+    "name.fuzz": "flou",
+    "name.grid": "grille",
+    "name.grid_step": "pas_grille",
+    "name.guild": "guilde",
+    "name.heatmap": "chaleur",
+    "name.hex": "hex",
+    "name.hidden": "masquées",
+    "name.hide": "masquer",
+    "name.hours": "heures",
+    "name.idle": "vide",
+    "name.label_size": "taille_étiquettes",
+    "name.language": "langue",
+    "name.legend": "légende",
+    "name.legend_position": "position_légende",
+    "name.legend_title": "titre_légende",
+    "name.link": "lier",
+    "name.names": "noms",
+    "name.off": "désactiver",
+    "name.palette": "palette",
+    "name.palmap": "palmap",
+    "name.palprivacy": "palconfidentialité",
+    "name.pending": "en_attente",
+    "name.period": "période",
+    "name.player": "joueur",
+    "name.players": "joueurs",
+    "name.poi": "poi",
+    "name.poi_categories": "catégories_poi",
+    "name.points": "repères",
+    "name.privacy": "confidentialité",
+    "name.public": "public",
+    "name.quality": "qualité",
+    "name.quiet": "creuses",
+    "name.quiet_end": "creuses_fin",
+    "name.quiet_start": "creuses_début",
+    "name.radius": "rayon",
+    "name.reject": "refuser",
+    "name.remove": "retirer",
+    "name.reset": "réinitialiser",
+    "name.role": "rôle",
+    "name.schedule": "cadence",
+    "name.server": "serveur",
+    "name.set": "définir",
+    "name.show": "afficher",
+    "name.size": "taille",
+    "name.staff": "staff",
+    "name.stale_grey": "gris_inactifs",
+    "name.stats": "statistiques",
+    "name.status": "état",
+    "name.territory": "territoire",
+    "name.territory_mode": "mode_territoire",
+    "name.territory_radius": "rayon_territoire",
+    "name.timelapse": "accéléré",
+    "name.timezone": "fuseau",
+    "name.trails": "traces",
+    "name.unlink": "délier",
+    "name.user": "membre",
+    "name.where": "où",
+    "name.x": "x",
+    "name.y": "y",
+    "name.zoom": "zoom",
+
+    // --- slash commands (descriptions) ---
+    "cmd.palmap": "Configurer la carte Palworld (snapshot).",
+    "cmd.palprivacy": "Gérer la visibilité de ton joueur sur la carte Palworld.",
+    "cmd.server": "Serveur Palworld (profil)",
+    "cmd.add": "Attacher la live-map à un canal (un seul message édité).",
+    "cmd.add.channel": "Canal où poster/éditer la carte",
+    "cmd.remove": "Détacher une live-map, ou toutes sans option server (arrête les updates).",
+    "cmd.status": "Voir la config actuelle de la live-map sur ce serveur.",
+    "cmd.events": "Annoncer connexions, guildes et nouvelles bases (sans canal = désactiver).",
+    "cmd.events.channel": "Canal du journal d’activité",
+    "cmd.trails": "Afficher le trajet récent de chaque joueur derrière son épingle.",
+    "cmd.trails.hours": "Durée du trail en heures (0 = désactiver)",
+    "cmd.heatmap": "Carte de chaleur des zones jouées et des bases.",
+    "cmd.heatmap.hours": "Période couverte en heures (défaut: tout l’historique)",
+    "cmd.timelapse": "Animation des déplacements et des nouvelles bases (une image par update).",
+    "cmd.timelapse.hours": "Période rejouée en heures (défaut: tout l’historique)",
+    "cmd.timelapse.format": "Format de l’animation (défaut: webp)",
+    "cmd.timelapse.format.webp": "WebP (léger)",
+    "cmd.timelapse.format.gif": "GIF",
+    "cmd.zoom": "Vue rapprochée d’un joueur, d’une guilde ou de coordonnées (privée).",
+    "cmd.zoom.player": "Joueur en ligne",
+    "cmd.zoom.guild": "Guilde (ses bases et membres en ligne)",
+    "cmd.zoom.x": "Coordonnée X en jeu",
+    "cmd.zoom.y": "Coordonnée Y en jeu",
+    "cmd.where": "Où est ce joueur ? Coordonnées, guilde, base la plus proche.",
+    "cmd.where.player": "Nom du joueur",
+    "cmd.stats": "Classements: temps de jeu, distance parcourue, bases par guilde.",
+    "cmd.stats.period": "Période (défaut: 7 derniers jours)",
+    "cmd.stats.player": "Fiche d’un joueur au lieu des classements",
+    "cmd.color": "Changer la couleur d’une guilde (sans couleur = revenir à la palette).",
+    "cmd.color.guild": "Guilde Palworld",
+    "cmd.color.hex": "Couleur hexadécimale, ex. #E69F00",
+    "cmd.palette": "Palette des couleurs de guildes (réattribue les couleurs automatiques).",
+    "cmd.palette.palette": "Palette à utiliser",
+    "cmd.privacy": "Confidentialité de la carte publique (joueurs, bases, délai, carte staff).",
+    "cmd.privacy.link": "Demander à lier ton compte Discord à ton joueur Palworld (validé par le staff).",
+    "cmd.privacy.link.player": "Ton pseudo en jeu ou ton ID joueur Palworld",
+    "cmd.privacy.hide": "Masquer ton joueur sur la carte publique et le journal d’activité.",
+    "cmd.privacy.show": "Réafficher ton joueur sur la carte publique.",
+    "cmd.privacy.unlink": "(staff) Retirer le lien entre un membre et son joueur.",
+    "cmd.privacy.unlink.user": "Membre Discord",
+    "cmd.privacy.approve": "(staff) Valider la demande de lien d’un membre, ou le lier d’office à un joueur.",
+    "cmd.privacy.approve.user": "Membre Discord",
+    "cmd.privacy.approve.player": "Joueur à lier d’office (par défaut: celui de sa demande)",
+    "cmd.privacy.reject": "(staff) Refuser la demande de lien d’un membre.",
+    "cmd.privacy.reject.user": "Membre Discord",
+    "cmd.privacy.pending": "(staff) Lister les demandes de lien en attente.",
+    "cmd.privacy.camps": "(staff) Masquer ou réafficher les bases d’une guilde sur la carte publique.",
+    "cmd.privacy.camps.guild": "Guilde Palworld",
+    "cmd.privacy.camps.hidden": "Masquer les bases (false = réafficher)",
+    "cmd.privacy.public": "(staff) Retard et précision des positions sur la carte publique.",
+    "cmd.privacy.public.delay": "Retard de publication en minutes (0 = temps réel)",
+    "cmd.privacy.public.fuzz": "Précision des positions en mètres (0 = exactes)",
+    "cmd.privacy.staff": "(staff) Canal de la carte exacte, non filtrée (sans canal = désactiver).",
+    "cmd.privacy.staff.channel": "Canal réservé au staff",
+    "cmd.force": "Forcer un refresh immédiat (même si rien n’a changé).",
+    "cmd.schedule": "Cadence des updates de la live-map (sans option: voir la cadence actuelle).",
+    "cmd.schedule.active": "Minutes entre deux updates avec des joueurs en ligne",
+    "cmd.schedule.idle": "Minutes entre deux updates quand le serveur Palworld est vide",
+    "cmd.schedule.quiet_start": "Début des heures creuses (0-23, voir l’option fuseau)",
+    "cmd.schedule.quiet_end": "Fin des heures creuses (0-23; égale au début: désactivées)",
+    "cmd.schedule.quiet": "Minutes entre deux updates pendant les heures creuses (0 = en pause)",
+    "cmd.schedule.timezone": "Fuseau des heures creuses, ex. Europe/Paris (défaut: celui du bot)",
+    "cmd.schedule.reset": "Revenir à la cadence par défaut",
+    "cmd.calibrate": "Tester une calibration de l’image de carte sur des repères (aperçu privé).",
+    "cmd.calibrate.points": "Repères « x y px py » séparés par ; (coordonnées, puis pixels sur l’image)",
+    "cmd.calibrate.coords": "Type des coordonnées x y (par défaut: affichées en jeu)",
+    "calibrate.coords.map": "Affichées en jeu",
+    "calibrate.coords.world": "Monde (API REST, cm)",
+    "cmd.alerts": "Alertes quand un joueur s’approche des bases d’une autre guilde.",
+    "cmd.alerts.set": "Activer les alertes dans un canal.",
+    "cmd.alerts.set.channel": "Canal des alertes",
+    "cmd.alerts.set.radius": "Distance de déclenchement autour d’une base (m)",
+    "cmd.alerts.set.cooldown": "Minutes avant de réalerter pour le même intrus",
+    "cmd.alerts.role": "Associer un rôle à pinger pour une guilde (sans rôle = retirer).",
+    "cmd.alerts.role.guild": "Guilde Palworld",
+    "cmd.alerts.role.role": "Rôle à pinger",
+    "cmd.alerts.off": "Désactiver les alertes de base.",
+    "cmd.config": "Apparence de la live-map sur ce serveur.",
+    "cmd.config.show": "Voir les options de rendu actuelles.",
+    "cmd.config.set": "Modifier une ou plusieurs options de rendu.",
+    "cmd.config.set.players": "Afficher les joueurs",
+    "cmd.config.set.names": "Afficher les pseudos",
+    "cmd.config.set.camps": "Afficher les bases",
+    "cmd.config.set.legend": "Afficher la légende",
+    "cmd.config.set.territory": "Afficher les territoires des guildes",
+    "cmd.config.set.territory_mode": "Forme des territoires",
+    "cmd.config.set.territory_mode.circles": "Cercle autour de chaque base",
+    "cmd.config.set.territory_mode.hull": "Enveloppe des bases",
+    "cmd.config.set.territory_radius": "Rayon d’un territoire autour d’une base (m)",
+    "cmd.config.set.grid": "Afficher le quadrillage en coordonnées du jeu, l’échelle et la boussole",
+    "cmd.config.set.grid_step": "Pas du quadrillage en coordonnées du jeu (0 = automatique)",
+    "cmd.config.set.stale_grey": "Griser la carte quand le serveur Palworld est injoignable",
+    "cmd.config.set.poi": "Afficher les points d’intérêt (tours…)",
+    "cmd.config.set.poi_categories":
+      "Catégories de POI de assets/poi.json: ex. « tower » ou « all »",
+    "cmd.config.set.legend_position": "Coin de la légende",
+    "cmd.config.set.legend_position.bottom-right": "Bas droite",
+    "cmd.config.set.legend_position.bottom-left": "Bas gauche",
+    "cmd.config.set.legend_position.top-right": "Haut droite",
+    "cmd.config.set.legend_position.top-left": "Haut gauche",
+    "cmd.config.set.legend_title": "Titre de la légende",
+    "cmd.config.set.label_size": "Taille des pseudos (px)",
+    "cmd.config.set.size": "Taille de l’image (px)",
+    "cmd.config.set.format": "Format de l’image",
+    "cmd.config.set.quality": "Qualité JPEG/WebP",
+    "cmd.config.set.language": "Langue de la live-map, du journal et des alertes",
+    "cmd.config.reset": "Revenir au rendu par défaut.",
+
+    // --- réponses communes ---
+    "common.notInGuild": "Cette commande doit être utilisée dans un serveur.",
+    "common.error": "❌ Une erreur est survenue, réessaie dans un instant.",
+    "common.unknownServer": "Serveur Palworld inconnu. Profils disponibles: {ids}.",
+    "common.notFollowed":
+      "Ce serveur Discord ne suit pas **{server}**: attache d’abord sa live-map avec `/palmap ajouter`.",
+    "common.textChannelOnly": "Je peux seulement poster dans un canal texte (GuildText).",
+    "common.noData": "Pas encore de données, réessaie après le prochain update.",
+    "common.noHistory": "Pas encore d’historique de positions. Réessaie après quelques updates.",
+    "common.hoursClamped":
+      "ℹ️ {asked} h demandées, mais le bot ne garde que {max} h d’historique (`HISTORY_HOURS`): limité à {max} h.",
+    "common.none": "Aucune",
+    "common.unknownGuild": "Guilde inconnue",
+    "common.somePlayer": "Un joueur",
+    "common.guild": "Guilde",
+    "common.guildNotFound": "Guilde introuvable: « {name} ».",
+    "common.staffOnly":
+      "⛔ Réservé au staff (permission « Gérer le serveur »). Les joueurs ont accès à `/palconfidentialité lier`, `masquer` et `afficher`.",
+
+    // --- /palmap add, remove, events, trails ---
+    "add.pickServer":
+      "Plusieurs serveurs Palworld sont disponibles, précise l’option `serveur` ({ids}).",
+    "add.done":
+      "✅ Ok, j’attache la live-map **{server}** à {channel}.\nJe poste/édite un seul message dans ce canal.",
+    "remove.all": "🧹 Live-map détachée pour ce serveur. Je n’éditerai plus rien.",
+    "remove.allNone": "Il n’y avait pas de live-map attachée sur ce serveur.",
+    "remove.one": "🧹 Live-map **{server}** détachée (carte et journal d’activité).",
+    "remove.oneNone": "Il n’y avait pas de live-map **{server}** sur ce serveur.",
+    "events.off": "🔕 Journal d’activité désactivé pour ce serveur.",
+    "events.offNone":
+      "Aucun journal d’activité n’était configuré. Précise un canal pour l’activer.",
+    "events.on":
+      "✅ Les connexions, changements de guilde et nouvelles bases de **{server}** seront annoncés dans {channel}.",
+    "trails.on": "👣 Trails activés: {hours} h d’historique derrière chaque joueur.",
+    "trails.off": "👣 Trails désactivés.",
+
+    // --- heatmap, timelapse, zoom ---
+    "heatmap.done": "🔥 Activité sur **{server}** ces {hours} dernières heures.",
+    "heatmap.error": "❌ Impossible de générer la heatmap.",
+    "heatmap.title": "Activité — {hours} h · {samples} positions · {camps} bases",
+    "timelapse.notEnough":
+      "Pas assez d’historique pour une animation. Réessaie après quelques updates.",
+    "timelapse.busy": "⏳ Un time-lapse est déjà en cours de génération, réessaie dans un instant.",
+    "timelapse.tooBig":
+      "❌ Animation trop lourde pour Discord ({size} Mo). Essaie avec moins d’heures ou en webp.",
+    "timelapse.done": "🎞️ **{server}** — {hours} dernières heures ({frames} images).",
+    "timelapse.error": "❌ Impossible de générer le time-lapse.",
+    "zoom.oneTarget": "Indique **une** cible: un joueur, une guilde, ou des coordonnées `x` et `y`.",
+    "zoom.notFound":
+      "Cible introuvable (joueur hors ligne, guilde sans base, ou coordonnées incomplètes).",
+    "zoom.outOfMap": "❌ Cette cible est hors de la carte.",
+    "zoom.done": "🔍 Zoom sur **{label}** (≈ {x}, {y})",
+    "zoom.error": "❌ Impossible de générer le zoom.",
+
+    // --- /palmap where ---
+    "where.notFound": "Aucun joueur connu ne correspond à « {name} ».",
+    "where.status": "Statut",
+    "where.online": "🟢 En ligne",
+    "where.seen": "🔴 Vu {when}",
+    "where.offline": "🔴 Hors ligne (position inconnue)",
+    "where.position": "Position",
+    "where.nearestCamp": "Base la plus proche",
+    "where.campDistance": "{x}, {y} — à {distance}",
+
+    // --- /palmap stats ---
+    "stats.period.week": "7 derniers jours",
+    "stats.period.month": "30 derniers jours",
+    "stats.period.all": "Depuis le début",
+    "stats.notFound": "Aucune statistique pour « {name} ».",
+    "stats.playtime": "Temps de jeu",
+    "stats.distance": "Distance",
+    "stats.sessions": "Sessions",
+    "stats.firstSeen": "Premier passage",
+    "stats.lastSeen": "Dernier passage",
+    "stats.title": "📊 {server} — Classements",
+    "stats.topPlaytime": "⏱️ Temps de jeu",
+    "stats.topDistance": "🏃 Distance parcourue",
+    "stats.guildPlaytime": "🛡️ Guildes — temps de jeu",
+    "stats.guildCamps": "🏕️ Guildes — bases",
+    "stats.guildDistance": "🧭 Guildes — distance",
+
+    // --- /palmap color, palette ---
+    "palette.classic": "Classique",
+    "palette.colorblind": "Adaptée au daltonisme",
+    "color.invalid": "Couleur invalide: « {input} ». Format attendu: `#RRGGBB` (ex. `#E69F00`).",
+    "color.taken": "`{color}` est déjà la couleur choisie pour **{guild}**, prends-en une autre.",
+    "color.set": "🎨 **{guild}** est maintenant en `{color}` sur **{server}**.",
+    "color.reset": "🎨 **{guild}** reprend une couleur de la palette: `{color}`.",
+    "color.recolored": "Recolorées pour rester distinctes: {guilds}.",
+    "palette.set":
+      "🎨 Palette **{palette}** appliquée à **{server}** (couleurs choisies à la main conservées):\n{colors}",
+
+    // --- /palmap privacy ---
+    "privacy.notFound":
+      "Aucun joueur connu ne correspond à « {name} ». Utilise ton pseudo en jeu (après t’être connecté une fois) ou ton ID joueur.",
+    "privacy.linkRequested":
+      "📨 Demande envoyée: un membre du staff doit confirmer que **{name}** est bien ton joueur sur **{server}**. Tu pourras ensuite utiliser `/palconfidentialité masquer`.",
+    "privacy.linkContested":
+      "📨 Demande envoyée: **{name}** est déjà lié à un autre compte Discord sur **{server}**, le staff vérifiera à qui il appartient.",
+    "privacy.approved": "🔗 {user} est lié à **{name}** (`{pid}`) sur **{server}**.",
+    "privacy.replaced": "Lien précédent retiré pour {users}.",
+    "privacy.rejected": "🚫 Demande de {user} pour **{name}** refusée.",
+    "privacy.noPending": "{user} n’a aucune demande de lien en attente sur **{server}**. Précise `joueur` pour le lier d’office.",
+    "privacy.pending":
+      "📨 Demandes de lien en attente sur **{server}**:\n{lines}\n`/palmap confidentialité valider` ou `refuser` pour trancher.",
+    "privacy.pendingLine": "• {user} → **{name}** (`{pid}`), {when}",
+    "privacy.pendingTaken": "• {user} → **{name}** (`{pid}`), {when} ⚠️ déjà lié à {owners}",
+    "privacy.pendingMore": "… et {count} autre(s)",
+    "privacy.pendingNone": "Aucune demande de lien en attente sur **{server}**.",
+    "privacy.pendingCount": "📨 {count} demande(s) de lien en attente (`/palmap confidentialité en_attente`)",
+    "privacy.linked":
+      "🔗 Ton compte est lié à **{name}** (`{pid}`) sur **{server}**. `/palconfidentialité masquer` pour te masquer.",
+    "privacy.notLinked": "Lie d’abord ton compte à ton joueur avec `/palconfidentialité lier`.",
+    "privacy.hidden":
+      "🕶️ **{name}** est masqué sur la carte publique, le site et le journal d’activité de **{server}**. Le staff voit toujours la carte exacte.",
+    "privacy.shown": "👀 **{name}** est de nouveau visible sur la carte publique de **{server}**.",
+    "privacy.unlinked": "🔗 Lien retiré pour {user} (joueur `{pid}` de nouveau visible).",
+    "privacy.unlinkedNone": "{user} n’a lié aucun joueur sur **{server}**.",
+    "privacy.campsHidden": "🕶️ Les bases de **{guild}** sont masquées sur la carte publique de **{server}**.",
+    "privacy.campsShown":
+      "👀 Les bases de **{guild}** sont de nouveau visibles sur la carte publique de **{server}**.",
+    "privacy.public": "✅ Carte publique de **{server}**:\n{summary}",
+    "privacy.nothing": "Rien à changer. Précise `délai` et/ou `flou`.",
+    "privacy.staffOn":
+      "🔒 La carte exacte de **{server}** sera postée dans {channel}. Pense à réserver ce canal au staff.",
+    "privacy.staffOff": "🔒 Carte staff désactivée pour **{server}**.",
+    "privacy.staffOffNone": "Aucune carte staff n’était configurée.",
+    "privacy.summary": "🕶️ Masqués: {players} joueur(s), bases de {guilds} guilde(s)",
+    "privacy.delay": "⏳ Positions publiées avec {minutes} min de retard",
+    "privacy.realtime": "⏳ Positions en temps réel",
+    "privacy.fuzz": "🎯 Positions arrondies à {meters} m",
+    "privacy.exact": "🎯 Positions exactes",
+
+    // --- /palmap status, force ---
+    "status.none": "Aucune live-map attachée sur ce serveur.",
+    "status.server": "🎮 **{server}** (`{id}`)",
+    "status.map": "📌 Live-map attachée à {channel}",
+    "status.noMap": "📌 Aucune live-map attachée",
+    "status.message": "🧾 Message ID: {id}",
+    "status.messagePending": "pas encore créé",
+    "status.lastUpdate": "⏱️ Dernier update: {when}",
+    "status.never": "jamais",
+    "status.events": "📰 Journal d’activité: {channel}",
+    "status.eventsOff": "désactivé",
+    "status.trails": "👣 Trails: {value}",
+    "status.trailsOff": "désactivés",
+    "status.language": "🌐 Langue des messages publics: {language}",
+    "status.palette": "🎨 Palette: {palette}",
+    "status.staffMap": "🔒 Carte staff (exacte): {channel}",
+    "status.staffMapOff": "🔒 Carte staff: désactivée",
+    "force.noMap": "Aucune live-map attachée. Fais `/palmap ajouter #salon` d’abord.",
+    "force.started": "⚡ Update forcé en cours…",
+    "force.queued": "⏳ Un update est déjà en cours: le tien est en file d’attente…",
+    "force.done": "✅ Update forcé terminé pour **{server}**.",
+    "force.failed": "❌ Update forcé échoué pour **{server}**: `{error}`",
+
+    // --- /palmap schedule ---
+    "schedule.show": "⏲️ Cadence des updates:\n{schedule}",
+    "schedule.updated": "✅ Cadence mise à jour:\n{schedule}",
+    "schedule.quietIncomplete":
+      "❌ Indique le début **et** la fin des heures creuses (`creuses_début` et `creuses_fin`).",
+    "schedule.server":
+      "⏲️ **{server}**: toutes les {active} min avec joueurs, {idle} min serveur vide — prochain update {next}",
+    "schedule.nextNone": "non planifié",
+    "schedule.nextPaused": "en pause jusqu’à {when}",
+    "schedule.quiet": "🌙 Heures creuses {start}h–{end}h ({timezone}): {cadence}",
+    "schedule.badTimezone": "❌ Fuseau inconnu: « {timezone} ». Utilise un nom IANA, ex. `Europe/Paris`.",
+    "schedule.quietOff": "🌙 Heures creuses: aucune",
+    "schedule.every": "toutes les {minutes} min",
+    "schedule.paused": "en pause",
+
+    // --- boutons et menu de la live-map ---
+    "components.refresh": "Rafraîchir",
+    "components.layer.players": "Joueurs",
+    "components.layer.camps": "Bases",
+    "components.layer.names": "Pseudos",
+    "components.layer.legend": "Légende",
+    "components.guildPlaceholder": "Mettre une guilde en évidence…",
+    "components.guildOption": "{camps} base(s) · {online} en ligne",
+    "components.highlight": "🔦 **{guild}** sur **{server}** (autres guildes estompées).",
+    "components.highlightError": "❌ Impossible de générer la vue de cette guilde.",
+    "components.cooldown": "⏳ Doucement ! Réessaie {when}.",
+    "components.expired": "Cette carte n’est plus suivie sur ce serveur.",
+
+    // --- /palmap calibrate ---
+    "calibrate.parseError": "❌ Repère {index} illisible: `{point}` (attendu: `x y px py`).",
+    "calibrate.notEnough": "❌ Il faut au moins 2 repères (3 ou plus, bien répartis, conseillés).",
+    "calibrate.degenerate":
+      "❌ Repères confondus ou alignés: impossible de résoudre la transformation.",
+    "calibrate.title": "📐 Calibration de **{image}** sur {count} repère(s)",
+    "calibrate.model.affine": "Modèle: affine complète (rotation et cisaillement compris)",
+    "calibrate.model.axes": "Modèle: échelle + décalage par axe",
+    "calibrate.residual": "Erreur: RMS **{rms} px**, max **{max} px** (repère #{worst}, ≈ {meters} m)",
+    "calibrate.exact":
+      "⚠️ Autant de repères que d’inconnues: l’erreur est nulle par construction, ajoute des repères pour la vérifier.",
+    "calibrate.current": "Calibration actuelle sur ces repères: RMS {rms} px, max {max} px",
+    "calibrate.point": "`#{n}` {error} px (actuelle: {current} px)",
+    "calibrate.morePoints": "… et {count} autre(s)",
+    "calibrate.legend":
+      "Image: ◯ vert = repère, ✕ rouge = position calculée, ● orange = calibration actuelle.",
+    "calibrate.save":
+      "La calibration est commune à tout le bot: pour l’enregistrer, lance sur la machine du bot puis redémarre-le:",
+    "calibrate.error": "❌ Impossible de générer l’image de contrôle.",
+
+    // --- /palmap config ---
+    "config.show": "🎨 Rendu de la live-map:\n{options}",
+    "config.reset": "♻️ Rendu réinitialisé:\n{options}",
+    "config.updated": "✅ Rendu mis à jour (appliqué au prochain update):\n{options}",
+    "config.tooHeavy":
+      "⚠️ Une image de {size} px en PNG dépasse souvent la limite d’upload de Discord (10 Mo): elle sera alors envoyée en JPEG, réduite si besoin.",
+    "config.nothing": "Rien à changer. Précise au moins une option (voir `/palmap config afficher`).",
+    "config.unknownPoi": "Catégorie(s) inconnue(s): {unknown}. Disponibles: {known} (ou `all`).",
+    "options.layers": "Joueurs: {players} · Pseudos: {names} · Bases: {camps} · Légende: {legend}",
+    "options.grid": "Quadrillage, échelle et boussole: {value} (pas: {step})",
+    "options.grid.auto": "automatique",
+    "options.staleGrey": "Carte grisée si serveur injoignable: {value}",
+    "options.territory": "Territoires: {value} ({mode}, {radius} m)",
+    "options.territory.hull": "enveloppe",
+    "options.territory.circles": "cercles",
+    "options.poi": "Points d’intérêt: {value} ({categories})",
+    "options.poi.all": "toutes catégories",
+    "options.legend": "Légende: {position} — « {title} »",
+    "options.labelSize": "Taille des pseudos: {size}px",
+    "options.image": "Image: {size}px, {format}",
+    "options.image.quality": "Image: {size}px, {format} (qualité {quality})",
+    "options.language": "Langue: {language}",
+
+    // --- /palmap alerts + messages d'alerte ---
+    "alerts.disabled": "🚨 Alertes de base: désactivées",
+    "alerts.summary": "🚨 Alertes de base: {channel}, rayon {radius} m, cooldown {cooldown} min",
+    "alerts.noRoles": "• aucune guilde associée à un rôle (`/palmap alertes rôle`)",
+    "alerts.off": "🔕 Alertes de base désactivées pour **{server}**.",
+    "alerts.offNone": "Aucune alerte de base n’était configurée.",
+    "alerts.setFirst": "Configure d’abord le canal avec `/palmap alertes définir`.",
+    "alerts.roleSet": "✅ Les intrusions près des bases de **{guild}** pingeront {role}.",
+    "alerts.roleRemoved": "🔕 Plus d’alerte pour **{guild}**.",
+    "alerts.intrusion": "🚨 {role} {who} est à {distance} d’une base de **{guild}** ({x}, {y})",
+
+    // --- source ---
+    "source.down": "📡 Source: 🔴 injoignable depuis {since}",
+    "source.ok": "📡 Source: 🟢 OK (dernier fetch {when})",
+    "source.never": "📡 Source: pas encore interrogée",
+    "source.lastError": "⚠️ Dernière erreur {when}: `{error}`",
+
+    // --- journal d'activité ---
+    "event.join": "{when} 🟢 **{name}** s’est connecté",
+    "event.leave": "{when} 🔴 **{name}** s’est déconnecté",
+    "event.guild": "{when} 🛡️ **{name}** a rejoint la guilde **{guild}**",
+    "event.camp": "{when} 🏕️ Nouvelle base pour la guilde **{guild}**",
+
+    // --- live-map (embed, images) ---
+    "map.init": "🗺️ Initialisation de la carte…",
+    "embed.players": "Joueurs",
+    "embed.camps": "Bases",
+    "embed.footer": "Memiroa Bot • Mise à jour automatique",
+    "embed.down":
+      "🔴 **Serveur injoignable depuis {since}** — dernières données connues affichées.",
+    "embed.staff": "🔒 Vue staff — positions exactes, sans filtre de confidentialité.",
+    "render.legendTitle": "Guildes (Bases)",
+
+    // --- carte web (src/web/index.html) ---
+    "web.camp": "Base",
+    "web.noGuild": "Sans guilde",
+    "web.playerCount": "{count} joueur(s)",
+    "web.waiting": "En attente du premier rendu…",
+  },
+
+  en: {
+    "name.active": "active",
+    "name.add": "add",
+    "name.alerts": "alerts",
+    "name.approve": "approve",
+    "name.calibrate": "calibrate",
+    "name.camps": "camps",
+    "name.channel": "channel",
+    "name.color": "color",
+    "name.config": "config",
+    "name.cooldown": "cooldown",
+    "name.coords": "coords",
+    "name.delay": "delay",
+    "name.events": "events",
+    "name.force": "force",
+    "name.format": "format",
+    "name.fuzz": "fuzz",
+    "name.grid": "grid",
+    "name.grid_step": "grid_step",
+    "name.guild": "guild",
+    "name.heatmap": "heatmap",
+    "name.hex": "hex",
+    "name.hidden": "hidden",
+    "name.hide": "hide",
+    "name.hours": "hours",
+    "name.idle": "idle",
+    "name.label_size": "label_size",
+    "name.language": "language",
+    "name.legend": "legend",
+    "name.legend_position": "legend_position",
+    "name.legend_title": "legend_title",
+    "name.link": "link",
+    "name.names": "names",
+    "name.off": "off",
+    "name.palette": "palette",
+    "name.palmap": "palmap",
+    "name.palprivacy": "palprivacy",
+    "name.pending": "pending",
+    "name.period": "period",
+    "name.player": "player",
+    "name.players": "players",
+    "name.poi": "poi",
+    "name.poi_categories": "poi_categories",
+    "name.points": "points",
+    "name.privacy": "privacy",
+    "name.public": "public",
+    "name.quality": "quality",
+    "name.quiet": "quiet",
+    "name.quiet_end": "quiet_end",
+    "name.quiet_start": "quiet_start",
+    "name.radius": "radius",
+    "name.reject": "reject",
+    "name.remove": "remove",
+    "name.reset": "reset",
+    "name.role": "role",
+    "name.schedule": "schedule",
+    "name.server": "server",
+    "name.set": "set",
+    "name.show": "show",
+    "name.size": "size",
+    "name.staff": "staff",
+    "name.stale_grey": "stale_grey",
+    "name.stats": "stats",
+    "name.status": "status",
+    "name.territory": "territory",
+    "name.territory_mode": "territory_mode",
+    "name.territory_radius": "territory_radius",
+    "name.timelapse": "timelapse",
+    "name.timezone": "timezone",
+    "name.trails": "trails",
+    "name.unlink": "unlink",
+    "name.user": "user",
+    "name.where": "where",
+    "name.x": "x",
+    "name.y": "y",
+    "name.zoom": "zoom",
+
+    "cmd.palmap": "Configure the Palworld map (snapshot).",
+    "cmd.palprivacy": "Manage your player's visibility on the Palworld map.",
+    "cmd.server": "Palworld server (profile)",
+    "cmd.add": "Attach the live map to a channel (a single edited message).",
+    "cmd.add.channel": "Channel where the map is posted/edited",
+    "cmd.remove": "Detach a live map, or all of them without the server option (stops updates).",
+    "cmd.status": "Show the current live map setup on this server.",
+    "cmd.events": "Announce logins, guild changes and new bases (no channel = disable).",
+    "cmd.events.channel": "Activity log channel",
+    "cmd.trails": "Show each player's recent path behind their pin.",
+    "cmd.trails.hours": "Trail length in hours (0 = disable)",
+    "cmd.heatmap": "Heatmap of played areas and bases.",
+    "cmd.heatmap.hours": "Period covered in hours (default: whole history)",
+    "cmd.timelapse": "Animation of movements and new bases (one frame per update).",
+    "cmd.timelapse.hours": "Period replayed in hours (default: whole history)",
+    "cmd.timelapse.format": "Animation format (default: webp)",
+    "cmd.timelapse.format.webp": "WebP (small)",
+    "cmd.timelapse.format.gif": "GIF",
+    "cmd.zoom": "Close-up of a player, a guild or coordinates (private).",
+    "cmd.zoom.player": "Online player",
+    "cmd.zoom.guild": "Guild (its bases and online members)",
+    "cmd.zoom.x": "In-game X coordinate",
+    "cmd.zoom.y": "In-game Y coordinate",
+    "cmd.where": "Where is this player? Coordinates, guild, nearest base.",
+    "cmd.where.player": "Player name",
+    "cmd.stats": "Leaderboards: playtime, distance traveled, bases per guild.",
+    "cmd.stats.period": "Period (default: last 7 days)",
+    "cmd.stats.player": "One player's card instead of the leaderboards",
+    "cmd.color": "Change a guild's color (no color = back to the palette).",
+    "cmd.color.guild": "Palworld guild",
+    "cmd.color.hex": "Hex color, e.g. #E69F00",
+    "cmd.palette": "Guild color palette (reassigns automatic colors).",
+    "cmd.palette.palette": "Palette to use",
+    "cmd.privacy": "Public map privacy (players, bases, delay, staff map).",
+    "cmd.privacy.link": "Ask to link your Discord account to your Palworld player (approved by staff).",
+    "cmd.privacy.link.player": "Your in-game name or Palworld player ID",
+    "cmd.privacy.hide": "Hide your player from the public map and the activity feed.",
+    "cmd.privacy.show": "Show your player on the public map again.",
+    "cmd.privacy.unlink": "(staff) Remove the link between a member and their player.",
+    "cmd.privacy.unlink.user": "Discord member",
+    "cmd.privacy.approve": "(staff) Approve a member's link request, or link them to a player directly.",
+    "cmd.privacy.approve.user": "Discord member",
+    "cmd.privacy.approve.player": "Player to link directly (default: the one they requested)",
+    "cmd.privacy.reject": "(staff) Reject a member's link request.",
+    "cmd.privacy.reject.user": "Discord member",
+    "cmd.privacy.pending": "(staff) List pending link requests.",
+    "cmd.privacy.camps": "(staff) Hide or show a guild's bases on the public map.",
+    "cmd.privacy.camps.guild": "Palworld guild",
+    "cmd.privacy.camps.hidden": "Hide the bases (false = show again)",
+    "cmd.privacy.public": "(staff) Delay and precision of positions on the public map.",
+    "cmd.privacy.public.delay": "Publication delay in minutes (0 = real time)",
+    "cmd.privacy.public.fuzz": "Position precision in meters (0 = exact)",
+    "cmd.privacy.staff": "(staff) Channel for the exact, unfiltered map (no channel = disable).",
+    "cmd.privacy.staff.channel": "Staff-only channel",
+    "cmd.force": "Force an immediate refresh (even if nothing changed).",
+    "cmd.schedule": "Live map update cadence (no option: show the current cadence).",
+    "cmd.schedule.active": "Minutes between updates while players are online",
+    "cmd.schedule.idle": "Minutes between updates while the Palworld server is empty",
+    "cmd.schedule.quiet_start": "Start of quiet hours (0-23, see the timezone option)",
+    "cmd.schedule.quiet_end": "End of quiet hours (0-23; same as start: disabled)",
+    "cmd.schedule.quiet": "Minutes between updates during quiet hours (0 = paused)",
+    "cmd.schedule.timezone": "Time zone of quiet hours, e.g. Europe/Paris (default: the bot's)",
+    "cmd.schedule.reset": "Back to the default cadence",
+    "cmd.calibrate": "Test a map image calibration against reference points (private preview).",
+    "cmd.calibrate.points": "Points \"x y px py\" separated by ; (coordinates, then pixels on the image)",
+    "cmd.calibrate.coords": "Kind of x y coordinates (default: shown in game)",
+    "calibrate.coords.map": "Shown in game",
+    "calibrate.coords.world": "World (REST API, cm)",
+    "cmd.alerts": "Alerts when a player gets close to another guild's bases.",
+    "cmd.alerts.set": "Enable alerts in a channel.",
+    "cmd.alerts.set.channel": "Alerts channel",
+    "cmd.alerts.set.radius": "Trigger distance around a base (m)",
+    "cmd.alerts.set.cooldown": "Minutes before alerting again for the same intruder",
+    "cmd.alerts.role": "Map a role to ping for a guild (no role = remove).",
+    "cmd.alerts.role.guild": "Palworld guild",
+    "cmd.alerts.role.role": "Role to ping",
+    "cmd.alerts.off": "Disable base alerts.",
+    "cmd.config": "Live map appearance on this server.",
+    "cmd.config.show": "Show the current render options.",
+    "cmd.config.set": "Change one or more render options.",
+    "cmd.config.set.players": "Show players",
+    "cmd.config.set.names": "Show player names",
+    "cmd.config.set.camps": "Show bases",
+    "cmd.config.set.legend": "Show the legend",
+    "cmd.config.set.territory": "Show guild territories",
+    "cmd.config.set.territory_mode": "Territory shape",
+    "cmd.config.set.territory_mode.circles": "Circle around each base",
+    "cmd.config.set.territory_mode.hull": "Hull around the bases",
+    "cmd.config.set.territory_radius": "Territory radius around a base (m)",
+    "cmd.config.set.grid": "Show the in-game coordinate grid, scale bar and compass",
+    "cmd.config.set.grid_step": "Grid spacing in in-game coordinates (0 = automatic)",
+    "cmd.config.set.stale_grey": "Grey out the map when the Palworld server is unreachable",
+    "cmd.config.set.poi": "Show points of interest (towers…)",
+    "cmd.config.set.poi_categories":
+      "POI categories from assets/poi.json: e.g. \"tower\" or \"all\"",
+    "cmd.config.set.legend_position": "Legend corner",
+    "cmd.config.set.legend_position.bottom-right": "Bottom right",
+    "cmd.config.set.legend_position.bottom-left": "Bottom left",
+    "cmd.config.set.legend_position.top-right": "Top right",
+    "cmd.config.set.legend_position.top-left": "Top left",
+    "cmd.config.set.legend_title": "Legend title",
+    "cmd.config.set.label_size": "Player name size (px)",
+    "cmd.config.set.size": "Image size (px)",
+    "cmd.config.set.format": "Image format",
+    "cmd.config.set.quality": "JPEG/WebP quality",
+    "cmd.config.set.language": "Language of the live map, activity log and alerts",
+    "cmd.config.reset": "Restore the default render.",
+
+    "common.notInGuild": "This command must be used in a server.",
+    "common.error": "❌ Something went wrong, try again in a moment.",
+    "common.unknownServer": "Unknown Palworld server. Available profiles: {ids}.",
+    "common.notFollowed":
+      "This Discord server does not follow **{server}**: attach its live map first with `/palmap add`.",
+    "common.textChannelOnly": "I can only post in a text channel (GuildText).",
+    "common.noData": "No data yet, try again after the next update.",
+    "common.noHistory": "No position history yet. Try again after a few updates.",
+    "common.hoursClamped":
+      "ℹ️ {asked} h requested, but the bot only keeps {max} h of history (`HISTORY_HOURS`): capped at {max} h.",
+    "common.none": "None",
+    "common.unknownGuild": "Unknown guild",
+    "common.somePlayer": "A player",
+    "common.guild": "Guild",
+    "common.guildNotFound": "Guild not found: \"{name}\".",
+    "common.staffOnly":
+      "⛔ Staff only (Manage Server permission). Players can use `/palprivacy link`, `hide` and `show`.",
+
+    "add.pickServer":
+      "Several Palworld servers are available, set the `server` option ({ids}).",
+    "add.done":
+      "✅ OK, attaching the **{server}** live map to {channel}.\nI post/edit a single message in this channel.",
+    "remove.all": "🧹 Live map detached from this server. I won't edit anything anymore.",
+    "remove.allNone": "There was no live map attached on this server.",
+    "remove.one": "🧹 **{server}** live map detached (map and activity log).",
+    "remove.oneNone": "There was no **{server}** live map on this server.",
+    "events.off": "🔕 Activity log disabled for this server.",
+    "events.offNone": "No activity log was set up. Pick a channel to enable it.",
+    "events.on":
+      "✅ Logins, guild changes and new bases on **{server}** will be announced in {channel}.",
+    "trails.on": "👣 Trails enabled: {hours} h of history behind each player.",
+    "trails.off": "👣 Trails disabled.",
+
+    "heatmap.done": "🔥 Activity on **{server}** over the last {hours} hours.",
+    "heatmap.error": "❌ Could not generate the heatmap.",
+    "heatmap.title": "Activity — {hours} h · {samples} positions · {camps} bases",
+    "timelapse.notEnough": "Not enough history for an animation. Try again after a few updates.",
+    "timelapse.busy": "⏳ A time-lapse is already being generated, try again in a moment.",
+    "timelapse.tooBig":
+      "❌ Animation too large for Discord ({size} MB). Try fewer hours or webp.",
+    "timelapse.done": "🎞️ **{server}** — last {hours} hours ({frames} frames).",
+    "timelapse.error": "❌ Could not generate the time-lapse.",
+    "zoom.oneTarget": "Give **one** target: a player, a guild, or `x` and `y` coordinates.",
+    "zoom.notFound":
+      "Target not found (player offline, guild without bases, or incomplete coordinates).",
+    "zoom.outOfMap": "❌ This target is outside the map.",
+    "zoom.done": "🔍 Zoom on **{label}** (≈ {x}, {y})",
+    "zoom.error": "❌ Could not generate the zoom.",
+
+    "where.notFound": "No known player matches \"{name}\".",
+    "where.status": "Status",
+    "where.online": "🟢 Online",
+    "where.seen": "🔴 Seen {when}",
+    "where.offline": "🔴 Offline (unknown position)",
+    "where.position": "Position",
+    "where.nearestCamp": "Nearest base",
+    "where.campDistance": "{x}, {y} — {distance} away",
+
+    "stats.period.week": "Last 7 days",
+    "stats.period.month": "Last 30 days",
+    "stats.period.all": "All time",
+    "stats.notFound": "No stats for \"{name}\".",
+    "stats.playtime": "Playtime",
+    "stats.distance": "Distance",
+    "stats.sessions": "Sessions",
+    "stats.firstSeen": "First seen",
+    "stats.lastSeen": "Last seen",
+    "stats.title": "📊 {server} — Leaderboards",
+    "stats.topPlaytime": "⏱️ Playtime",
+    "stats.topDistance": "🏃 Distance traveled",
+    "stats.guildPlaytime": "🛡️ Guilds — playtime",
+    "stats.guildCamps": "🏕️ Guilds — bases",
+    "stats.guildDistance": "🧭 Guilds — distance",
+
+    "palette.classic": "Classic",
+    "palette.colorblind": "Colorblind-safe",
+    "color.invalid": "Invalid color: \"{input}\". Expected format: `#RRGGBB` (e.g. `#E69F00`).",
+    "color.taken": "`{color}` is already the color picked for **{guild}**, choose another one.",
+    "color.set": "🎨 **{guild}** is now `{color}` on **{server}**.",
+    "color.reset": "🎨 **{guild}** is back to a palette color: `{color}`.",
+    "color.recolored": "Recolored to stay distinct: {guilds}.",
+    "palette.set":
+      "🎨 **{palette}** palette applied to **{server}** (hand-picked colors kept):\n{colors}",
+
+    "privacy.notFound":
+      "No known player matches \"{name}\". Use your in-game name (after logging in once) or your player ID.",
+    "privacy.linkRequested":
+      "📨 Request sent: a staff member has to confirm that **{name}** is your player on **{server}**. You can then use `/palprivacy hide`.",
+    "privacy.linkContested":
+      "📨 Request sent: **{name}** is already linked to another Discord account on **{server}**, the staff will check who it belongs to.",
+    "privacy.approved": "🔗 {user} is linked to **{name}** (`{pid}`) on **{server}**.",
+    "privacy.replaced": "Previous link removed for {users}.",
+    "privacy.rejected": "🚫 {user}'s request for **{name}** rejected.",
+    "privacy.noPending": "{user} has no pending link request on **{server}**. Specify `player` to link them directly.",
+    "privacy.pending":
+      "📨 Pending link requests on **{server}**:\n{lines}\nUse `/palmap privacy approve` or `reject` to decide.",
+    "privacy.pendingLine": "• {user} → **{name}** (`{pid}`), {when}",
+    "privacy.pendingTaken": "• {user} → **{name}** (`{pid}`), {when} ⚠️ already linked to {owners}",
+    "privacy.pendingMore": "… and {count} more",
+    "privacy.pendingNone": "No pending link request on **{server}**.",
+    "privacy.pendingCount": "📨 {count} pending link request(s) (`/palmap privacy pending`)",
+    "privacy.linked":
+      "🔗 Your account is linked to **{name}** (`{pid}`) on **{server}**. Use `/palprivacy hide` to hide yourself.",
+    "privacy.notLinked": "Link your account to your player first with `/palprivacy link`.",
+    "privacy.hidden":
+      "🕶️ **{name}** is hidden from the public map, the website and the activity feed of **{server}**. Staff still see the exact map.",
+    "privacy.shown": "👀 **{name}** is visible again on the public map of **{server}**.",
+    "privacy.unlinked": "🔗 Link removed for {user} (player `{pid}` visible again).",
+    "privacy.unlinkedNone": "{user} has not linked a player on **{server}**.",
+    "privacy.campsHidden": "🕶️ **{guild}**'s bases are hidden from the public map of **{server}**.",
+    "privacy.campsShown": "👀 **{guild}**'s bases are visible again on the public map of **{server}**.",
+    "privacy.public": "✅ Public map of **{server}**:\n{summary}",
+    "privacy.nothing": "Nothing to change. Specify `delay` and/or `fuzz`.",
+    "privacy.staffOn":
+      "🔒 The exact map of **{server}** will be posted in {channel}. Make sure only staff can see that channel.",
+    "privacy.staffOff": "🔒 Staff map disabled for **{server}**.",
+    "privacy.staffOffNone": "No staff map was set up.",
+    "privacy.summary": "🕶️ Hidden: {players} player(s), bases of {guilds} guild(s)",
+    "privacy.delay": "⏳ Positions published {minutes} min late",
+    "privacy.realtime": "⏳ Real-time positions",
+    "privacy.fuzz": "🎯 Positions rounded to {meters} m",
+    "privacy.exact": "🎯 Exact positions",
+
+    "status.none": "No live map attached on this server.",
+    "status.server": "🎮 **{server}** (`{id}`)",
+    "status.map": "📌 Live map attached to {channel}",
+    "status.noMap": "📌 No live map attached",
+    "status.message": "🧾 Message ID: {id}",
+    "status.messagePending": "not created yet",
+    "status.lastUpdate": "⏱️ Last update: {when}",
+    "status.never": "never",
+    "status.events": "📰 Activity log: {channel}",
+    "status.eventsOff": "disabled",
+    "status.trails": "👣 Trails: {value}",
+    "status.trailsOff": "disabled",
+    "status.language": "🌐 Language of public messages: {language}",
+    "status.palette": "🎨 Palette: {palette}",
+    "status.staffMap": "🔒 Staff map (exact): {channel}",
+    "status.staffMapOff": "🔒 Staff map: disabled",
+    "force.noMap": "No live map attached. Run `/palmap add #channel` first.",
+    "force.started": "⚡ Forced update in progress…",
+    "force.queued": "⏳ An update is already running: yours is queued…",
+    "force.done": "✅ Forced update done for **{server}**.",
+    "force.failed": "❌ Forced update failed for **{server}**: `{error}`",
+
+    "schedule.show": "⏲️ Update cadence:\n{schedule}",
+    "schedule.updated": "✅ Cadence updated:\n{schedule}",
+    "schedule.quietIncomplete":
+      "❌ Give both the start **and** the end of quiet hours (`quiet_start` and `quiet_end`).",
+    "schedule.server":
+      "⏲️ **{server}**: every {active} min with players, {idle} min when empty — next update {next}",
+    "schedule.nextNone": "not scheduled",
+    "schedule.nextPaused": "paused until {when}",
+    "schedule.quiet": "🌙 Quiet hours {start}:00–{end}:00 ({timezone}): {cadence}",
+    "schedule.badTimezone": "❌ Unknown time zone: \"{timezone}\". Use an IANA name, e.g. `Europe/Paris`.",
+    "schedule.quietOff": "🌙 Quiet hours: none",
+    "schedule.every": "every {minutes} min",
+    "schedule.paused": "paused",
+
+    "components.refresh": "Refresh",
+    "components.layer.players": "Players",
+    "components.layer.camps": "Bases",
+    "components.layer.names": "Names",
+    "components.layer.legend": "Legend",
+    "components.guildPlaceholder": "Highlight a guild…",
+    "components.guildOption": "{camps} base(s) · {online} online",
+    "components.highlight": "🔦 **{guild}** on **{server}** (other guilds dimmed).",
+    "components.highlightError": "❌ Could not render this guild's view.",
+    "components.cooldown": "⏳ Easy! Try again {when}.",
+    "components.expired": "This map is no longer followed on this server.",
+
+    "calibrate.parseError": "❌ Point {index} is unreadable: `{point}` (expected: `x y px py`).",
+    "calibrate.notEnough": "❌ At least 2 points are needed (3 or more, well spread, recommended).",
+    "calibrate.degenerate": "❌ Points are identical or aligned: the transform cannot be solved.",
+    "calibrate.title": "📐 Calibration of **{image}** from {count} point(s)",
+    "calibrate.model.affine": "Model: full affine (rotation and shear included)",
+    "calibrate.model.axes": "Model: scale + offset per axis",
+    "calibrate.residual": "Error: RMS **{rms} px**, max **{max} px** (point #{worst}, ≈ {meters} m)",
+    "calibrate.exact":
+      "⚠️ As many points as unknowns: the error is zero by construction, add points to check it.",
+    "calibrate.current": "Current calibration on these points: RMS {rms} px, max {max} px",
+    "calibrate.point": "`#{n}` {error} px (current: {current} px)",
+    "calibrate.morePoints": "… and {count} more",
+    "calibrate.legend":
+      "Image: green ◯ = reference, red ✕ = computed position, orange ● = current calibration.",
+    "calibrate.save":
+      "The calibration is shared by the whole bot: to save it, run this on the bot's machine, then restart it:",
+    "calibrate.error": "❌ Could not render the check image.",
+
+    "config.show": "🎨 Live map render:\n{options}",
+    "config.reset": "♻️ Render reset:\n{options}",
+    "config.updated": "✅ Render updated (applied on the next update):\n{options}",
+    "config.tooHeavy":
+      "⚠️ A {size} px PNG image often exceeds Discord's upload limit (10 MB): it will then be sent as JPEG, downscaled if needed.",
+    "config.nothing": "Nothing to change. Set at least one option (see `/palmap config show`).",
+    "config.unknownPoi": "Unknown categories: {unknown}. Available: {known} (or `all`).",
+    "options.layers": "Players: {players} · Names: {names} · Bases: {camps} · Legend: {legend}",
+    "options.grid": "Grid, scale bar and compass: {value} (spacing: {step})",
+    "options.grid.auto": "automatic",
+    "options.staleGrey": "Greyed-out map when the server is unreachable: {value}",
+    "options.territory": "Territories: {value} ({mode}, {radius} m)",
+    "options.territory.hull": "hull",
+    "options.territory.circles": "circles",
+    "options.poi": "Points of interest: {value} ({categories})",
+    "options.poi.all": "all categories",
+    "options.legend": "Legend: {position} — \"{title}\"",
+    "options.labelSize": "Player name size: {size}px",
+    "options.image": "Image: {size}px, {format}",
+    "options.image.quality": "Image: {size}px, {format} (quality {quality})",
+    "options.language": "Language: {language}",
+
+    "alerts.disabled": "🚨 Base alerts: disabled",
+    "alerts.summary": "🚨 Base alerts: {channel}, radius {radius} m, cooldown {cooldown} min",
+    "alerts.noRoles": "• no guild mapped to a role (`/palmap alerts role`)",
+    "alerts.off": "🔕 Base alerts disabled for **{server}**.",
+    "alerts.offNone": "No base alert was set up.",
+    "alerts.setFirst": "Set the channel first with `/palmap alerts set`.",
+    "alerts.roleSet": "✅ Intrusions near **{guild}**'s bases will ping {role}.",
+    "alerts.roleRemoved": "🔕 No more alerts for **{guild}**.",
+    "alerts.intrusion": "🚨 {role} {who} is {distance} from a **{guild}** base ({x}, {y})",
+
+    "source.down": "📡 Source: 🔴 unreachable since {since}",
+    "source.ok": "📡 Source: 🟢 OK (last fetch {when})",
+    "source.never": "📡 Source: not queried yet",
+    "source.lastError": "⚠️ Last error {when}: `{error}`",
+
+    "event.join": "{when} 🟢 **{name}** logged in",
+    "event.leave": "{when} 🔴 **{name}** logged out",
+    "event.guild": "{when} 🛡️ **{name}** joined the guild **{guild}**",
+    "event.camp": "{when} 🏕️ New base for the guild **{guild}**",
+
+    "map.init": "🗺️ Initializing the map…",
+    "embed.players": "Players",
+    "embed.camps": "Bases",
+    "embed.footer": "Memiroa Bot • Automatic update",
+    "embed.down": "🔴 **Server unreachable since {since}** — showing the last known data.",
+    "embed.staff": "🔒 Staff view — exact positions, no privacy filter.",
+    "render.legendTitle": "Guilds (Bases)",
+
+    "web.camp": "Base",
+    "web.noGuild": "No guild",
+    "web.playerCount": "{count} player(s)",
+    "web.waiting": "Waiting for the first render…",
+  },
+};
+
+// ====== LOOKUP ======
+// t("en", "trails.on", { hours: 6 }) ; clé absente -> français, puis la clé
+function t(locale, key, vars = {}) {
+  const text = MESSAGES[locale]?.[key] ?? MESSAGES.fr[key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (m, name) =>
+    name in vars ? String(vars[name]) : m,
+  );
+}
+
+// Locale Discord ("fr", "en-US", "en-GB"…) -> langue du bot, null si non traduite
+function resolveLocale(discordLocale) {
+  const lang = String(discordLocale ?? "").split("-")[0];
+  return LOCALES.includes(lang) ? lang : null;
+}
+
+// { "en-US": "...", "en-GB": "...", fr: "..." } pour setDescriptionLocalizations
+// et les name_localizations des choix
+function discordLocalizations(key) {
+  const out = {};
+  for (const locale of LOCALES) {
+    const text = MESSAGES[locale][key];
+    if (!text) continue;
+    for (const discordLocale of DISCORD_LOCALES[locale]) out[discordLocale] = text;
+  }
+  return out;
+}
+
+function formatDateTime(locale, date, options = {}) {
+  return new Date(date).toLocaleString(INTL_LOCALES[locale] ?? INTL_LOCALES.fr, options);
+}
+
+export {
+  LOCALES,
+  DEFAULT_LOCALE,
+  INTL_LOCALES,
+  LANGUAGE_NAMES,
+  t,
+  resolveLocale,
+  discordLocalizations,
+  formatDateTime,
+};
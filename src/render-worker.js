@@ -0,0 +1,19 @@
+// Thread de rendu: renderSnapshot() hors du thread principal (gateway Discord).
+// Messages: { id, args } -> { id, buf } | { id, error }
+import { parentPort } from "node:worker_threads";
+
+import { OUTPUT_SIZE, loadBaseMap, renderSnapshot } from "./render.js";
+
+parentPort.on("message", async ({ id, args }) => {
+  try {
+    const buf = await renderSnapshot(args);
+    parentPort.postMessage({ id, buf });
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.stack ?? String(err) });
+  }
+});
+
+// base map décodée dès le démarrage (taille par défaut des live-maps)
+loadBaseMap({ size: OUTPUT_SIZE }).catch((err) =>
+  console.error("Render worker warm-up error:", err),
+);
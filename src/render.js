@@ -0,0 +1,1302 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import sharp from "sharp";
+
+import {
+  calibrationFor,
+  worldToMapWith,
+  mapToPixelWith,
+  pixelToMapWith,
+} from "./calibration.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ====== ENV ======
+// Optionnel: pour matcher exactement l'image "PalworldSaveTools" que tu as jointe
+// Exemple: MAP_IMAGE=../assets/updated_worldmap.png
+const MAP_IMAGE = process.env.MAP_IMAGE;
+
+const OUTPUT_SIZE = 4096;
+
+const LEGEND_SCALE = 2.5; // x2
+
+// ====== RENDER OPTIONS ======
+// Valeurs par défaut; surchargées par serveur Discord (state.guilds[id].render)
+const RENDER_DEFAULTS = {
+  players: true, // épingles des joueurs
+  names: true, // pseudos au-dessus des épingles
+  camps: true, // icônes de bases
+  territory: false, // zones d'influence des guildes autour de leurs bases
+  territoryMode: "circles", // "circles" (rayon par base) ou "hull" (enveloppe)
+  territoryRadius: 250, // mètres
+  staleGreyscale: true, // carte grisée quand le serveur Palworld est injoignable
+  poi: false, // points d'intérêt (assets/poi.json)
+  poiCategories: [], // [] = toutes les catégories
+  grid: false, // quadrillage en coordonnées du jeu, échelle et rose des vents
+  gridStep: 0, // pas du quadrillage en unités de carte (0 = automatique)
+  legend: true,
+  legendPosition: "bottom-right",
+  legendTitle: "Guildes (Bases)",
+  labelSize: 26,
+  size: OUTPUT_SIZE,
+  format: "jpeg",
+  quality: 85,
+};
+
+function encodeImage(pipeline, { format = "jpeg", quality = 85 } = {}) {
+  if (format === "png") return pipeline.png({ compressionLevel: 9 }).toBuffer();
+  if (format === "webp") return pipeline.webp({ quality }).toBuffer();
+  return pipeline.jpeg({ quality, mozjpeg: true }).toBuffer();
+}
+
+function imageExtension(format) {
+  return format === "png" ? "png" : format === "webp" ? "webp" : "jpg";
+}
+
+// ====== IDS ======
+function normalizePalId(id) {
+  // guild members: "21FCEE28-00000000-..." vs players: "21FCEE2800000000..."
+  return String(id ?? "")
+    .replaceAll("-", "")
+    .toLowerCase();
+}
+
+function playerIdOf(p) {
+  return normalizePalId(p.playerId ?? p.player_id ?? "");
+}
+
+// ====== ASSETS ======
+const ASSETS = {
+  map: MAP_IMAGE
+    ? path.resolve(__dirname, MAP_IMAGE)
+    : path.resolve(__dirname, "../assets/T_WorldMap.png"),
+
+  camp: path.resolve(__dirname, "../assets/T_icon_compass_camp.png"),
+  player: path.resolve(__dirname, "../assets/T_icon_compass_00.png"),
+  poi: path.resolve(__dirname, "../assets/poi.json"),
+};
+
+// ====== COORDS / CALIBRATION ======
+// Calibration de l'image de carte (assets/calibration.json, voir calibration.js)
+const CALIBRATION = calibrationFor(ASSETS.map);
+const WORLD_TO_MAP = CALIBRATION.worldToMap;
+const MAP_TO_PX = CALIBRATION.mapToPx;
+
+function worldToMap(worldX, worldY) {
+  return worldToMapWith(WORLD_TO_MAP, worldX, worldY);
+}
+
+function mapToPixel(mapX, mapY) {
+  return mapToPixelWith(MAP_TO_PX, mapX, mapY);
+}
+
+function worldToPixel(worldX, worldY) {
+  const { mapX, mapY } = worldToMap(worldX, worldY);
+  return mapToPixel(mapX, mapY);
+}
+
+// inverse de mapToPixel: pixels source -> coordonnées affichées en jeu
+function pixelToMap(px, py) {
+  return pixelToMapWith(MAP_TO_PX, px, py);
+}
+
+// 1 unité de carte = WORLD_TO_MAP.scale unités monde (cm)
+function mapDistanceMeters(a, b) {
+  const d = Math.hypot(a.mapX - b.mapX, a.mapY - b.mapY);
+  return (d * WORLD_TO_MAP.scale) / 100;
+}
+
+// ====== ICONS ======
+let iconCache = null;
+
+// La taille fait partie de la clé (tailles d'image, zoom, échelle des icônes
+// par serveur Discord): borné pour ne pas grossir à chaque nouvelle taille
+const TINTED_CACHE_MAX = 512;
+const tintedCache = new Map(); // key: path|size|color -> buffer
+
+function cacheTinted(key, buf) {
+  if (tintedCache.size >= TINTED_CACHE_MAX) {
+    tintedCache.delete(tintedCache.keys().next().value);
+  }
+  tintedCache.set(key, buf);
+}
+
+// Vue "guilde mise en avant": les autres guildes en gris, fond assombri
+const DIMMED_COLOR = "#6B6B6B";
+const DIMMED_OPACITY = 0.45;
+const HIGHLIGHT_SHADE = 0.35;
+
+async function getTintedIcon(basePath, size, colorHex) {
+  const key = `${basePath}|${size}|${colorHex.toLowerCase()}`;
+  if (tintedCache.has(key)) return tintedCache.get(key);
+
+  const buf = await sharp(basePath)
+    .resize(size, size, { fit: "fill", kernel: sharp.kernel.nearest })
+    .tint(colorHex)
+    .png()
+    .toBuffer();
+
+  cacheTinted(key, buf);
+  return buf;
+}
+
+// Icône estompée (vue "guilde mise en avant"): tint() garde la luminance,
+// une icône grise resterait blanche -> on réduit l'opacité
+async function getDimmedIcon(basePath, size) {
+  const key = `${basePath}|${size}|dimmed`;
+  if (tintedCache.has(key)) return tintedCache.get(key);
+
+  const buf = await sharp(await getTintedIcon(basePath, size, DIMMED_COLOR))
+    .ensureAlpha()
+    .linear([1, 1, 1, DIMMED_OPACITY], [0, 0, 0, 0])
+    .png()
+    .toBuffer();
+
+  cacheTinted(key, buf);
+  return buf;
+}
+
+async function loadIconsOnce() {
+  if (iconCache) return iconCache;
+
+  const CAMP_SIZE = 128;
+  const PLAYER_SIZE = 86;
+
+  iconCache = { CAMP_SIZE, PLAYER_SIZE };
+  return iconCache;
+}
+
+// ====== RENDER (Sharp) ======
+function escapeXml(s) {
+  return String(s)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&apos;");
+}
+
+// ====== LABELS (accurate sizing via Sharp) ======
+const labelCache = new Map(); // key: text -> { buf,w,h }
+
+async function makeLabelSvg(text, {
+  fontSize = 26,
+  paddingX = 12,
+  paddingY = 10,
+  radius = 8,
+  bg = "rgba(0,0,0,0.75)",
+  fontFamily = "Arial, sans-serif",
+  fontWeight = 700,
+} = {}) {
+  const t = escapeXml(text ?? "");
+  const cacheKey = `${fontSize}|${paddingX}|${paddingY}|${radius}|${t}`;
+  const cached = labelCache.get(cacheKey);
+  if (cached) return cached;
+
+  // 1) Rendu “large” pour mesurer le texte, puis trim pour obtenir la bbox réelle
+  const measureSvg = Buffer.from(`
+<svg width="1200" height="200" xmlns="http://www.w3.org/2000/svg">
+  <rect width="1200" height="200" fill="rgba(0,0,0,0)"/>
+  <text x="0" y="${Math.round(fontSize * 1.1)}"
+        font-family="${fontFamily}"
+        font-size="${fontSize}"
+        font-weight="${fontWeight}"
+        fill="white">${t}</text>
+</svg>`);
+
+  const measured = await sharp(measureSvg).png().trim().toBuffer({ resolveWithObject: true });
+  const textW = measured.info.width;
+  const textH = measured.info.height;
+
+  // 2) Dimensions finales avec padding
+  const w = textW + paddingX * 2;
+  const h = textH + paddingY * 2;
+
+  // 3) SVG final centré (texte + fond)
+  const finalSvg = Buffer.from(`
+<svg width="${w}" height="${h}" xmlns="http://www.w3.org/2000/svg">
+  <rect x="0" y="0" width="${w}" height="${h}" rx="${radius}" ry="${radius}" fill="${bg}"/>
+  <text x="${w / 2}" y="${h / 2}"
+        text-anchor="middle"
+        dominant-baseline="middle"
+        font-family="${fontFamily}"
+        font-size="${fontSize}"
+        font-weight="${fontWeight}"
+        fill="white">${t}</text>
+</svg>`);
+
+  const out = { buf: finalSvg, w, h };
+  labelCache.set(cacheKey, out);
+  return out;
+}
+
+function hexToRgb(hex) {
+  const h = String(hex ?? "")
+    .replace("#", "")
+    .trim();
+  if (h.length !== 6) return { r: 255, g: 255, b: 255 };
+  return {
+    r: parseInt(h.slice(0, 2), 16),
+    g: parseInt(h.slice(2, 4), 16),
+    b: parseInt(h.slice(4, 6), 16),
+  };
+}
+
+function makeLegendSvg(legendGuilds, scale = 1, title = RENDER_DEFAULTS.legendTitle) {
+  // layout base (avant scale)
+  const pad = 14;
+  const rowH = 28;
+  const titleH = 24;
+  const dotR = 7;
+
+  // colonne "surface" seulement si le calque territoires est actif
+  const withArea = legendGuilds.some((g) => typeof g.areaKm2 === "number");
+  const areaW = 90;
+
+  const w = 340 + (withArea ? areaW : 0);
+  const h = pad * 2 + titleH + legendGuilds.length * rowH;
+
+  const rows = legendGuilds
+    .map((g, i) => {
+      const y = pad + titleH + i * rowH + 18;
+
+      const { r, g: gg, b } = hexToRgb(g.color);
+      const name = escapeXml(g.name ?? "Guild");
+      const count = Number(g.campCount ?? 0);
+      const area = withArea
+        ? `
+      <text x="${w - pad - 40}" y="${y}" text-anchor="end" font-family="Arial, sans-serif"
+            font-size="14" font-weight="700" fill="rgba(255,255,255,0.8)">${(g.areaKm2 ?? 0).toFixed(2)} km²</text>`
+        : "";
+
+      return `
+      <circle cx="${pad + dotR}" cy="${y - 6}" r="${dotR}" fill="rgb(${r},${gg},${b})" />
+      <text x="${pad + dotR * 2 + 10}" y="${y}" font-family="Arial, sans-serif"
+            font-size="16" font-weight="700" fill="white">${name}</text>${area}
+      <text x="${w - pad}" y="${y}" text-anchor="end" font-family="Arial, sans-serif"
+            font-size="16" font-weight="700" fill="white">${count}</text>
+    `;
+    })
+    .join("\n");
+
+  // SVG final: on scale tout le contenu (sans flou)
+  const scaledW = Math.round(w * scale);
+  const scaledH = Math.round(h * scale);
+
+  return {
+    buf: Buffer.from(`
+<svg width="${scaledW}" height="${scaledH}" xmlns="http://www.w3.org/2000/svg">
+  <g transform="scale(${scale})">
+    <rect x="0" y="0" width="${w}" height="${h}" rx="14" ry="14" fill="rgba(0,0,0,0.55)"/>
+    <text x="${pad}" y="${pad + 18}" font-family="Arial, sans-serif"
+          font-size="16" font-weight="800" fill="white">${escapeXml(title)}</text>
+    ${rows}
+  </g>
+</svg>`),
+    w: scaledW,
+    h: scaledH,
+  };
+}
+
+// Polylignes en couleur de guilde, de plus en plus opaques vers la position actuelle
+function makeTrailsSvg(
+  trails,
+  { width, height, toCanvas, strokeWidth = 10, maxAgeMs, colorOf },
+) {
+  const now = Date.now();
+  const lines = [];
+
+  for (const [pid, segments] of Object.entries(trails)) {
+    const color = colorOf(pid);
+
+    for (const seg of segments) {
+      for (let i = 1; i < seg.length; i++) {
+        const a = toCanvas(worldToPixel(seg[i - 1].x, seg[i - 1].y));
+        const b = toCanvas(worldToPixel(seg[i].x, seg[i].y));
+        const age = Math.min(1, (now - seg[i].t) / maxAgeMs);
+        const opacity = (0.15 + 0.75 * (1 - age)).toFixed(2);
+
+        lines.push(
+          `<line x1="${a.x.toFixed(1)}" y1="${a.y.toFixed(1)}" x2="${b.x.toFixed(1)}" y2="${b.y.toFixed(1)}" stroke="${color}" stroke-opacity="${opacity}" />`,
+        );
+      }
+    }
+  }
+
+  if (!lines.length) return null;
+
+  return Buffer.from(`
+<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+  <g stroke-width="${strokeWidth}" stroke-linecap="round" fill="none">
+    ${lines.join("\n    ")}
+  </g>
+</svg>`);
+}
+
+// ====== TERRITORIES ======
+// Zones calculées en coordonnées de carte (unités en jeu), converties en
+// mètres pour la surface: 1 unité = WORLD_TO_MAP.scale cm
+const METERS_PER_MAP_UNIT = WORLD_TO_MAP.scale / 100;
+
+// Andrew's monotone chain -> enveloppe convexe (sens trigo), points { x, y }
+function convexHull(points) {
+  const pts = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  if (pts.length < 3) return pts;
+
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const lower = [];
+  for (const p of pts) {
+    while (lower.length >= 2 && cross(lower.at(-2), lower.at(-1), p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (const p of [...pts].reverse()) {
+    while (upper.length >= 2 && cross(upper.at(-2), upper.at(-1), p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+// Enveloppe dilatée de r (formule de Steiner): aire + périmètre·r + πr².
+// Marche aussi pour 1 ou 2 points (aire nulle, périmètre aller-retour).
+function dilatedHullArea(hull, r) {
+  let area = 0;
+  let perimeter = 0;
+  for (let i = 0; i < hull.length; i++) {
+    const a = hull[i];
+    const b = hull[(i + 1) % hull.length];
+    area += a.x * b.y - b.x * a.y;
+    perimeter += Math.hypot(b.x - a.x, b.y - a.y);
+  }
+  return Math.abs(area) / 2 + perimeter * r + Math.PI * r * r;
+}
+
+// Union de disques de même rayon: théorème de Green sur les arcs de chaque
+// cercle qui ne sont couverts par aucun autre disque (exact, O(n² log n))
+function circlesUnionArea(centers, r) {
+  const TAU = 2 * Math.PI;
+  const key = (c) => `${c.x},${c.y}`;
+  const uniq = [...new Map(centers.map((c) => [key(c), c])).values()];
+
+  let area = 0;
+  for (const c of uniq) {
+    // arcs couverts par les voisins, ramenés dans [0, 2π)
+    const covered = [];
+    for (const o of uniq) {
+      const d = Math.hypot(o.x - c.x, o.y - c.y);
+      if (o === c || d >= 2 * r) continue;
+      const mid = Math.atan2(o.y - c.y, o.x - c.x);
+      const half = Math.acos(d / (2 * r));
+      const from = (((mid - half) % TAU) + TAU) % TAU;
+      const to = from + 2 * half;
+      if (to > TAU) covered.push([from, TAU], [0, to - TAU]);
+      else covered.push([from, to]);
+    }
+    covered.sort((a, b) => a[0] - b[0]);
+
+    // arcs libres = complément des arcs couverts
+    const free = [];
+    let at = 0;
+    for (const [from, to] of covered) {
+      if (from > at) free.push([at, from]);
+      at = Math.max(at, to);
+    }
+    if (at < TAU) free.push([at, TAU]);
+
+    for (const [t1, t2] of free) {
+      area +=
+        (r * r * (t2 - t1) +
+          c.x * r * (Math.sin(t2) - Math.sin(t1)) -
+          c.y * r * (Math.cos(t2) - Math.cos(t1))) /
+        2;
+    }
+  }
+  return area;
+}
+
+// -> { [guildId]: { points, hull, areaKm2 } } (points/hull en unités de carte)
+function computeTerritories(camps, { radiusM, mode }) {
+  const byGuild = {};
+  for (const c of camps) {
+    if (typeof c.map_x !== "number" || typeof c.map_y !== "number") continue;
+    (byGuild[c.guild_id ?? "unknown"] ??= []).push({ x: c.map_x, y: c.map_y });
+  }
+
+  const r = radiusM / METERS_PER_MAP_UNIT;
+  const out = {};
+
+  for (const [gid, points] of Object.entries(byGuild)) {
+    // territoire: à moins de r d'une base (ou, en mode hull, de l'enveloppe)
+    const hull = mode === "hull" ? convexHull(points) : null;
+    const area = hull ? dilatedHullArea(hull, r) : circlesUnionArea(points, r);
+
+    out[gid] = {
+      points,
+      hull,
+      areaKm2: (area * METERS_PER_MAP_UNIT * METERS_PER_MAP_UNIT) / 1e6,
+    };
+  }
+
+  return out;
+}
+
+// Un groupe par guilde, opacité appliquée au groupe: les zones qui se
+// chevauchent au sein d'une même guilde ne s'assombrissent pas
+function makeTerritorySvg(territories, { width, height, toCanvas, radiusM, colorOf }) {
+  const r = radiusM / METERS_PER_MAP_UNIT;
+  const toXY = (p) => toCanvas(mapToPixel(p.x, p.y));
+
+  const groups = Object.entries(territories).map(([gid, t]) => {
+    const color = colorOf(gid);
+    const c0 = toXY(t.points[0]);
+    const rPx = Math.hypot(
+      toXY({ x: t.points[0].x + r, y: t.points[0].y }).x - c0.x,
+      toXY({ x: t.points[0].x + r, y: t.points[0].y }).y - c0.y,
+    );
+
+    let shapes;
+    if (t.hull) {
+      // enveloppe remplie + trait rond de 2r = enveloppe dilatée de r
+      const pts = t.hull.map(toXY).map((p) => `${p.x.toFixed(1)},${p.y.toFixed(1)}`);
+      shapes = `<polygon points="${pts.join(" ")}" fill="${color}" stroke="${color}" stroke-width="${(rPx * 2).toFixed(1)}" stroke-linejoin="round" stroke-linecap="round" />`;
+    } else {
+      shapes = t.points
+        .map(toXY)
+        .map((p) => `<circle cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="${rPx.toFixed(1)}" fill="${color}" />`)
+        .join("");
+    }
+
+    return `<g opacity="0.3">${shapes}</g>`;
+  });
+
+  if (!groups.length) return null;
+
+  return Buffer.from(`
+<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+  ${groups.join("\n  ")}
+</svg>`);
+}
+
+// ====== POINTS OF INTEREST ======
+// assets/poi.json: { categories: { key: { label, color, symbol, icon? } },
+//   points: [{ category, name, x, y }] } (coords monde, comme les joueurs)
+// icon: PNG optionnel relatif à assets/ (teinté), sinon symbole SVG
+let poiCache = null;
+
+function loadPoiOnce() {
+  if (poiCache) return poiCache;
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(ASSETS.poi, "utf8"));
+    poiCache = {
+      categories: raw.categories ?? {},
+      points: (raw.points ?? []).filter(
+        (p) => raw.categories?.[p.category] && Number.isFinite(p.x) && Number.isFinite(p.y),
+      ),
+    };
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error("POI load error:", err);
+    poiCache = { categories: {}, points: [] };
+  }
+  return poiCache;
+}
+
+function makePoiSymbolSvg(symbol, size, color) {
+  const s = size;
+  const h = s / 2;
+  const sw = Math.max(2, Math.round(s / 10));
+  const i = sw; // marge pour le contour
+
+  const shapes = {
+    square: `<rect x="${i}" y="${i}" width="${s - 2 * i}" height="${s - 2 * i}" rx="${sw}" />`,
+    diamond: `<polygon points="${h},${i} ${s - i},${h} ${h},${s - i} ${i},${h}" />`,
+    triangle: `<polygon points="${h},${i} ${s - i},${s - i} ${i},${s - i}" />`,
+    circle: `<circle cx="${h}" cy="${h}" r="${h - i}" />`,
+  };
+
+  return Buffer.from(`
+<svg width="${s}" height="${s}" xmlns="http://www.w3.org/2000/svg">
+  <g fill="${color}" stroke="#FFFFFF" stroke-width="${sw}" stroke-linejoin="round">
+    ${shapes[symbol] ?? shapes.circle}
+  </g>
+</svg>`);
+}
+
+const poiIconCache = new Map(); // key: catégorie|size -> buffer
+
+// Icône absente ou illisible: point de couleur, sans casser la live-map
+async function getPoiIcon(categoryKey, size) {
+  const key = `${categoryKey}|${size}`;
+  if (poiIconCache.has(key)) return poiIconCache.get(key);
+
+  const category = loadPoiOnce().categories[categoryKey];
+  const color = category.color ?? "#FFFFFF";
+  let buf = null;
+  if (category.icon) {
+    const iconPath = path.resolve(path.dirname(ASSETS.poi), category.icon);
+    buf = await getTintedIcon(iconPath, size, color).catch((err) => {
+      console.warn(`Icône POI ${categoryKey} illisible (${iconPath}): ${err.message}`);
+      return null;
+    });
+  }
+  buf ??= await sharp(
+    makePoiSymbolSvg(category.icon ? "circle" : category.symbol, size, color),
+  )
+    .png()
+    .toBuffer();
+
+  poiIconCache.set(key, buf);
+  return buf;
+}
+
+// -> points des catégories demandées ([] = toutes)
+function selectPoi(categories = []) {
+  const poi = loadPoiOnce();
+  return poi.points.filter(
+    (p) => !categories.length || categories.includes(p.category),
+  );
+}
+
+// Carte entière: décodée + redimensionnée une seule fois par taille (pixels
+// bruts gardés en mémoire, ~64 Mo en 4096). Les vues (zoom) restent à la demande.
+const BASE_MAP_CACHE_MAX = 3;
+const baseMapCache = new Map(); // size -> { data, info }
+
+async function getFullBaseMap(size) {
+  if (baseMapCache.has(size)) return baseMapCache.get(size);
+
+  const { data, info } = await sharp(ASSETS.map)
+    .resize(size, size, { fit: "fill" })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  if (baseMapCache.size >= BASE_MAP_CACHE_MAX) {
+    baseMapCache.delete(baseMapCache.keys().next().value);
+  }
+  const entry = { data, info };
+  baseMapCache.set(size, entry);
+  return entry;
+}
+
+// ====== CLUSTERS & LABEL LAYOUT ======
+// Deux icônes se chevauchent quand leurs centres sont à moins de
+// CLUSTER_OVERLAP x taille de l'icône (à l'échelle de sortie)
+const CLUSTER_OVERLAP = 0.6;
+const CLUSTER_LABEL_NAMES = 3; // noms listés sous une pastille, puis "+N"
+
+// Groupes de points connexes (union-find): chaînes de chevauchements incluses
+function clusterPoints(points, dist) {
+  const parent = points.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      if (Math.hypot(points[i].x - points[j].x, points[i].y - points[j].y) < dist) {
+        parent[find(i)] = find(j);
+      }
+    }
+  }
+
+  const groups = new Map();
+  points.forEach((p, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(p);
+  });
+  return [...groups.values()];
+}
+
+function centroid(points) {
+  return {
+    x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+    y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+  };
+}
+
+function clusterLabel(group) {
+  if (group.length === 1) return group[0].name;
+  const names = group.map((p) => p.name).sort((a, b) => a.localeCompare(b));
+  const shown = names.slice(0, CLUSTER_LABEL_NAMES).join(", ");
+  return names.length > CLUSTER_LABEL_NAMES
+    ? `${shown} +${names.length - CLUSTER_LABEL_NAMES}`
+    : shown;
+}
+
+// Pastille: anneau découpé par guilde (au prorata) + nombre au centre
+function makeClusterBadgeSvg(group, size, colorOf) {
+  const counts = new Map();
+  for (const p of group) {
+    const color = colorOf(p.gid);
+    counts.set(color, (counts.get(color) ?? 0) + 1);
+  }
+
+  const c = size / 2;
+  const ring = Math.max(3, size * 0.16);
+  const r = c - ring / 2 - 1;
+  const circumference = 2 * Math.PI * r;
+
+  let offset = 0;
+  const arcs = [...counts].map(([color, n]) => {
+    const len = (circumference * n) / group.length;
+    const arc = `<circle cx="${c}" cy="${c}" r="${r.toFixed(1)}" fill="none" stroke="${color}" stroke-width="${ring.toFixed(1)}" stroke-dasharray="${len.toFixed(2)} ${(circumference - len).toFixed(2)}" stroke-dashoffset="${(-offset).toFixed(2)}" transform="rotate(-90 ${c} ${c})" />`;
+    offset += len;
+    return arc;
+  });
+
+  return Buffer.from(`
+<svg width="${size}" height="${size}" xmlns="http://www.w3.org/2000/svg">
+  <circle cx="${c}" cy="${c}" r="${(r - ring / 2).toFixed(1)}" fill="rgba(0,0,0,0.8)" />
+  ${arcs.join("\n  ")}
+  <text x="${c}" y="${c}" text-anchor="middle" dominant-baseline="central"
+        font-family="Arial, sans-serif" font-size="${Math.round(size * 0.42)}"
+        font-weight="700" fill="white">${group.length}</text>
+</svg>`);
+}
+
+const overlaps = (a, b) =>
+  a.left < b.left + b.w && b.left < a.left + a.w && a.top < b.top + b.h && b.top < a.top + a.h;
+
+// Placement glouton: position par défaut (centrée au-dessus de l'ancre), puis
+// à droite / à gauche, puis de plus en plus haut. Une position qui touche un
+// label déjà placé est exclue; on préfère aussi éviter les icônes.
+// items: [{ buf, w, h, ax, ay, box }] -> [{ buf, left, top, w, h, ax, ay, leader }]
+function layoutLabels(items, obstacles, { gap = 8, levels = 4 } = {}) {
+  const placed = [];
+
+  for (const item of [...items].sort((a, b) => a.ay - b.ay || a.ax - b.ax)) {
+    const { w, h, ax, ay } = item;
+    const candidates = [];
+    for (let level = 0; level <= levels; level++) {
+      const top = ay - h - gap - level * (h + gap);
+      candidates.push(
+        { left: ax - w / 2, top },
+        { left: ax + gap, top },
+        { left: ax - w - gap, top },
+      );
+    }
+
+    const free = (rect) => !placed.some((p) => overlaps(rect, p));
+    const clear = (rect) =>
+      !obstacles.some((o) => o !== item.box && overlaps(rect, o));
+
+    const boxes = candidates.map((c) => ({ ...c, w, h }));
+    const best =
+      boxes.find((b) => free(b) && clear(b)) ?? boxes.find(free) ?? boxes[0];
+
+    placed.push({ ...item, ...best, leader: best !== boxes[0] });
+  }
+
+  return placed;
+}
+
+// Trait entre l'icône et son label quand celui-ci a été décalé
+function makeLeaderLinesSvg(placed, { width, height, strokeWidth = 3 }) {
+  const lines = placed
+    .filter((l) => l.leader)
+    .map((l) => {
+      const x = Math.min(Math.max(l.ax, l.left), l.left + l.w);
+      const y = l.top + l.h;
+      return `<line x1="${l.ax.toFixed(1)}" y1="${l.ay.toFixed(1)}" x2="${x.toFixed(1)}" y2="${y.toFixed(1)}" />`;
+    });
+
+  if (!lines.length) return null;
+
+  return Buffer.from(`
+<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+  <g stroke="rgba(0,0,0,0.75)" stroke-width="${strokeWidth * 2.5}" stroke-linecap="round">
+    ${lines.join("\n    ")}
+  </g>
+  <g stroke="white" stroke-width="${strokeWidth}" stroke-linecap="round">
+    ${lines.join("\n    ")}
+  </g>
+</svg>`);
+}
+
+// view: zone { left, top, width, height } en pixels de la map source (null = monde entier)
+// size: largeur du canvas de sortie
+async function loadBaseMap({ view = null, size = OUTPUT_SIZE } = {}) {
+  if (!view) {
+    const { data, info } = await getFullBaseMap(size);
+    const meta = await sourceMapMeta();
+    const sx = size / meta.width;
+    const sy = size / meta.height;
+
+    return {
+      base: sharp(data, {
+        raw: { width: info.width, height: info.height, channels: info.channels },
+      }),
+      width: size,
+      height: size,
+      toCanvas: ({ px, py }) => ({ x: px * sx, y: py * sy }),
+    };
+  }
+
+  // 1) lire la map source
+  const baseSrc = sharp(ASSETS.map);
+  const { width: srcW, height: srcH } = await sourceMapMeta();
+
+  // 2) zone source, ramenée dans l'image (taille gardée si possible):
+  // une vue qui déborde ou tombe hors carte ne donne jamais un extract vide
+  const clamp = (v, min, max) => Math.min(Math.max(v, min), max);
+  const regionW = clamp(Math.round(view.width), 1, srcW);
+  const regionH = clamp(Math.round(view.height), 1, srcH);
+  const region = {
+    left: clamp(Math.round(view.left), 0, srcW - regionW),
+    top: clamp(Math.round(view.top), 0, srcH - regionH),
+    width: regionW,
+    height: regionH,
+  };
+
+  // 3) créer un canvas base à la taille de sortie
+  const width = size;
+  const height = Math.round((size * region.height) / region.width);
+
+  const base = baseSrc.extract(region).resize(width, height, { fit: "fill" });
+
+  // 4) facteur d’échelle coord pixels
+  const sx = width / region.width;
+  const sy = height / region.height;
+
+  const toCanvas = ({ px, py }) => ({
+    x: (px - region.left) * sx,
+    y: (py - region.top) * sy,
+  });
+
+  return { base, width, height, toCanvas };
+}
+
+let sourceMeta = null;
+
+async function sourceMapMeta() {
+  if (sourceMeta) return sourceMeta;
+  const meta = await sharp(ASSETS.map).metadata();
+  sourceMeta = { width: meta.width ?? 8192, height: meta.height ?? 8192 };
+  return sourceMeta;
+}
+
+// ====== GRID / SCALE / COMPASS ======
+// Quadrillage dans les coordonnées affichées en jeu (worldToMap): lignes à
+// X constant (légendées en haut) et à Y constant (légendées à gauche),
+// tracées via mapToPixel: elles suivent la calibration, même tournée.
+const GRID_TARGET_LINES = 8; // pas automatique: ~8 lignes sur la vue
+const GRID_MAX_LINES = 60; // pas demandé trop fin pour la vue -> automatique
+const SCALE_BAR_FRACTION = 0.18; // longueur visée, en part de la largeur
+
+// 1, 2, 2.5 ou 5 × 10^n, le plus proche au-dessus de v
+function niceStep(v) {
+  const p = 10 ** Math.floor(Math.log10(v));
+  return [1, 2, 2.5, 5, 10].map((m) => m * p).find((s) => s >= v);
+}
+
+// inverse de toCanvas (échelle + décalage): canvas -> pixels de l'image source
+function canvasToPixel(toCanvas) {
+  const o = toCanvas({ px: 0, py: 0 });
+  const u = toCanvas({ px: 1, py: 1 });
+  return ({ x, y }) => ({ px: (x - o.x) / (u.x - o.x), py: (y - o.y) / (u.y - o.y) });
+}
+
+function visibleMapBounds({ width, height, toCanvas }) {
+  const fromCanvas = canvasToPixel(toCanvas);
+  const corners = [
+    [0, 0],
+    [width, 0],
+    [0, height],
+    [width, height],
+  ].map(([x, y]) => {
+    const { px, py } = fromCanvas({ x, y });
+    return pixelToMap(px, py);
+  });
+  return {
+    minX: Math.min(...corners.map((c) => c.mapX)),
+    maxX: Math.max(...corners.map((c) => c.mapX)),
+    minY: Math.min(...corners.map((c) => c.mapY)),
+    maxY: Math.max(...corners.map((c) => c.mapY)),
+  };
+}
+
+function gridStepFor(bounds, step) {
+  const span = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+  if (step > 0 && span / step <= GRID_MAX_LINES) return step;
+  return niceStep(span / GRID_TARGET_LINES);
+}
+
+function makeGridSvg({ width, height, toCanvas, step = 0, fontSize = 26, strokeWidth = 2 }) {
+  const bounds = visibleMapBounds({ width, height, toCanvas });
+  const gridStep = gridStepFor(bounds, step);
+  const at = (mapX, mapY) => toCanvas(mapToPixel(mapX, mapY));
+  const margin = Math.round(fontSize * 0.4);
+
+  const lines = [];
+  const labels = [];
+  const label = (x, y, value, anchor) =>
+    labels.push(
+      `<text x="${x.toFixed(1)}" y="${y.toFixed(1)}" text-anchor="${anchor}" font-family="Arial, sans-serif" font-size="${fontSize}" font-weight="700" fill="#fff" stroke="#000" stroke-width="${Math.max(2, fontSize / 6).toFixed(1)}" paint-order="stroke">${value}</text>`,
+    );
+
+  // axis "x": lignes à X constant, légende sur le bord haut; "y": à Y constant, bord gauche
+  for (const axis of ["x", "y"]) {
+    const [lo, hi, otherLo, otherHi] =
+      axis === "x"
+        ? [bounds.minX, bounds.maxX, bounds.minY, bounds.maxY]
+        : [bounds.minY, bounds.maxY, bounds.minX, bounds.maxX];
+
+    for (let v = Math.ceil(lo / gridStep) * gridStep; v <= hi; v += gridStep) {
+      const value = Math.round(v * 100) / 100;
+      const a = axis === "x" ? at(value, otherLo) : at(otherLo, value);
+      const b = axis === "x" ? at(value, otherHi) : at(otherHi, value);
+      const major = value === 0; // axes du repère plus marqués
+
+      lines.push(
+        `<line x1="${a.x.toFixed(1)}" y1="${a.y.toFixed(1)}" x2="${b.x.toFixed(1)}" y2="${b.y.toFixed(1)}" stroke="#fff" stroke-opacity="${major ? 0.6 : 0.3}" stroke-width="${major ? strokeWidth * 2 : strokeWidth}"/>`,
+      );
+
+      // point de la ligne sur le bord haut (x) ou gauche (y)
+      if (axis === "x" && a.y !== b.y) {
+        const y = fontSize + margin;
+        const x = a.x + ((y - a.y) * (b.x - a.x)) / (b.y - a.y);
+        if (x > fontSize * 2 && x < width - fontSize) label(x + margin, y, value, "start");
+      } else if (axis === "y" && a.x !== b.x) {
+        const x = margin;
+        const y = a.y + ((x - a.x) * (b.y - a.y)) / (b.x - a.x);
+        if (y > fontSize * 2 && y < height - fontSize) label(x, y - margin, value, "start");
+      }
+    }
+  }
+
+  return {
+    buf: Buffer.from(
+      `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">${lines.join("")}${labels.join("")}</svg>`,
+    ),
+    step: gridStep,
+  };
+}
+
+// Barre d'échelle (longueur ronde en m/km) surmontée d'une rose des vents
+// orientée vers +Y du jeu (le nord); un seul bloc posé dans un coin
+function makeScaleCompassSvg({ width, toCanvas, scale = 1 }) {
+  // canvas px par mètre, le long de X du jeu
+  const o = toCanvas(mapToPixel(0, 0));
+  const ex = toCanvas(mapToPixel(1, 0));
+  const ey = toCanvas(mapToPixel(0, 1));
+  const pxPerMeter = Math.hypot(ex.x - o.x, ex.y - o.y) / (WORLD_TO_MAP.scale / 100);
+
+  const meters = niceStep((width * SCALE_BAR_FRACTION) / pxPerMeter);
+  const barW = meters * pxPerMeter;
+  const text = meters >= 1000 ? `${meters / 1000} km` : `${meters} m`;
+
+  // nord: direction de +Y du jeu sur le canvas (0° = vers le haut)
+  const north = (Math.atan2(ey.x - o.x, -(ey.y - o.y)) * 180) / Math.PI;
+
+  const pad = 12 * scale;
+  const fontSize = 20 * scale;
+  const r = 34 * scale; // rayon de la rose
+  const barH = 10 * scale;
+  const w = Math.round(Math.max(barW, r * 2) + pad * 2);
+  const h = Math.round(pad * 3 + r * 2 + fontSize * 1.6 + barH);
+  const cx = pad + r;
+  const cy = pad + r + fontSize * 0.6;
+  const barY = h - pad - barH;
+  const half = barW / 2;
+
+  return {
+    w,
+    h,
+    buf: Buffer.from(`
+<svg width="${w}" height="${h}" xmlns="http://www.w3.org/2000/svg">
+  <rect x="0" y="0" width="${w}" height="${h}" rx="${14 * scale}" ry="${14 * scale}" fill="rgba(0,0,0,0.55)"/>
+  <g transform="translate(${cx} ${cy}) rotate(${north.toFixed(1)})">
+    <circle r="${r * 0.8}" fill="none" stroke="rgba(255,255,255,0.5)" stroke-width="${2 * scale}"/>
+    <path d="M0 ${-r}L${r * 0.25} 0L0 ${r * 0.15}Z" fill="#FF3B30"/>
+    <path d="M0 ${-r}L${-r * 0.25} 0L0 ${r * 0.15}Z" fill="#C62828"/>
+    <path d="M0 ${r}L${r * 0.25} 0L0 ${-r * 0.15}Z" fill="#fff"/>
+    <path d="M0 ${r}L${-r * 0.25} 0L0 ${-r * 0.15}Z" fill="#BDBDBD"/>
+    <text x="0" y="${-r - 4 * scale}" text-anchor="middle" font-family="Arial, sans-serif"
+          font-size="${fontSize}" font-weight="800" fill="white">N</text>
+  </g>
+  <rect x="${pad}" y="${barY}" width="${half}" height="${barH}" fill="white"/>
+  <rect x="${pad + half}" y="${barY}" width="${half}" height="${barH}" fill="#222" stroke="white" stroke-width="${1.5 * scale}"/>
+  <text x="${pad + barW}" y="${barY - 6 * scale}" text-anchor="end" font-family="Arial, sans-serif"
+        font-size="${fontSize}" font-weight="700" fill="white">${text}</text>
+</svg>`),
+  };
+}
+
+function isOnCanvas({ x, y }, width, height, margin = 256) {
+  return x > -margin && y > -margin && x < width + margin && y < height + margin;
+}
+
+async function renderSnapshot({
+  players,
+  camps,
+  playerToGuild,
+  legendGuilds,
+  trails = null,
+  trailHours = 0,
+  view = null,
+  size = null,
+  options = RENDER_DEFAULTS,
+  colors = {}, // palGuildId -> couleur (attribuées côté bot, persistées dans le state)
+  baseMap = null, // { buf, width, height, toCanvas } déjà rendu (rendus en série)
+  caption = null, // texte en haut (ex: horodatage d'une frame)
+  highlight = null, // palGuildId mis en avant: les autres guildes sont estompées
+}) {
+  const icons = await loadIconsOnce();
+  const dimmed = (gid) => !!highlight && gid !== highlight;
+  const colorOf = (gid) => (dimmed(gid) ? DIMMED_COLOR : (colors[gid] ?? "#FFFFFF"));
+  const iconOf = (basePath, size, gid) =>
+    dimmed(gid) ? getDimmedIcon(basePath, size) : getTintedIcon(basePath, size, colorOf(gid));
+  const { base, width, height, toCanvas } = baseMap
+    ? { ...baseMap, base: sharp(baseMap.buf) }
+    : await loadBaseMap({ view, size: size ?? options.size });
+
+  // carte entière: icônes, labels et légende suivent la taille de sortie
+  const k = view ? 1 : width / OUTPUT_SIZE;
+
+  const composites = [];
+
+  // Mise en avant: fond assombri pour faire ressortir la guilde choisie
+  if (highlight) {
+    composites.push({
+      input: Buffer.from(
+        `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg"><rect width="100%" height="100%" fill="#000" fill-opacity="${HIGHLIGHT_SHADE}"/></svg>`,
+      ),
+      left: 0,
+      top: 0,
+    });
+  }
+
+  // Territories (sous les bases)
+  const territories = options.territory
+    ? computeTerritories(camps, {
+        radiusM: options.territoryRadius,
+        mode: options.territoryMode,
+      })
+    : null;
+
+  if (territories) {
+    const territorySvg = makeTerritorySvg(territories, {
+      width,
+      height,
+      toCanvas,
+      radiusM: options.territoryRadius,
+      colorOf,
+    });
+    if (territorySvg) composites.push({ input: territorySvg, left: 0, top: 0 });
+  }
+
+  // Quadrillage (sous les marqueurs)
+  if (options.grid) {
+    const grid = makeGridSvg({
+      width,
+      height,
+      toCanvas,
+      step: options.gridStep,
+      fontSize: Math.round(options.labelSize * k),
+      strokeWidth: Math.max(1, Math.round(2 * k)),
+    });
+    composites.push({ input: grid.buf, left: 0, top: 0 });
+  }
+
+  // Points d'intérêt (sous les bases) ; noms seulement en vue zoomée
+  const poiSize = Math.round(44 * k);
+  for (const p of options.poi ? selectPoi(options.poiCategories) : []) {
+    const pos = toCanvas(worldToPixel(p.x, p.y));
+    if (!isOnCanvas(pos, width, height)) continue;
+
+    composites.push({
+      input: await getPoiIcon(p.category, poiSize),
+      left: Math.round(pos.x - poiSize / 2),
+      top: Math.round(pos.y - poiSize / 2),
+    });
+
+    if (!view || !options.names || !p.name) continue;
+
+    const label = await makeLabelSvg(p.name, {
+      fontSize: Math.round(options.labelSize * 0.8),
+      paddingX: 8,
+      paddingY: 6,
+      radius: 6,
+    });
+    composites.push({
+      input: label.buf,
+      left: Math.round(pos.x - label.w / 2),
+      top: Math.round(pos.y + poiSize / 2 + 4),
+    });
+  }
+
+  // Camps (une pastille par groupe de bases qui se chevauchent)
+  const campSize = Math.round(icons.CAMP_SIZE * k);
+  const campPoints = [];
+  for (const c of options.camps ? camps : []) {
+    if (typeof c.map_x !== "number" || typeof c.map_y !== "number") continue;
+
+    const pos = toCanvas(mapToPixel(c.map_x, c.map_y));
+    if (!isOnCanvas(pos, width, height)) continue;
+    campPoints.push({ ...pos, gid: c.guild_id ?? "unknown" });
+  }
+
+  const obstacles = []; // boîtes des icônes, évitées par les labels
+  for (const group of clusterPoints(campPoints, campSize * CLUSTER_OVERLAP)) {
+    const { x, y } = centroid(group);
+    const input =
+      group.length > 1
+        ? makeClusterBadgeSvg(group, campSize, colorOf)
+        : await iconOf(ASSETS.camp, campSize, group[0].gid);
+    const box = {
+      left: Math.round(x - campSize / 2),
+      top: Math.round(y - campSize / 2),
+      w: campSize,
+      h: campSize,
+    };
+
+    composites.push({ input, left: box.left, top: box.top });
+    obstacles.push(box);
+  }
+
+  // Trails (sous les épingles) — uniquement pour les joueurs en ligne
+  if (options.players && trails && trailHours > 0) {
+    const online = new Set(players.map(playerIdOf));
+    const visible = Object.fromEntries(
+      Object.entries(trails).filter(([pid]) => online.has(pid)),
+    );
+
+    const trailsSvg = makeTrailsSvg(visible, {
+      width,
+      height,
+      toCanvas,
+      strokeWidth: Math.max(2, Math.round(10 * k)),
+      maxAgeMs: trailHours * 60 * 60 * 1000,
+      colorOf: (pid) => colorOf(playerToGuild?.[pid]),
+    });
+
+    if (trailsSvg) composites.push({ input: trailsSvg, left: 0, top: 0 });
+  }
+
+  // Players: épingle seule, ou pastille (nombre + couleurs des guildes) quand
+  // plusieurs épingles se chevauchent à l'échelle de sortie
+  const pinSize = Math.round(icons.PLAYER_SIZE * k);
+  const playerPoints = [];
+  for (const p of options.players ? players : []) {
+    const wx = Number(p.location_x ?? 0);
+    const wy = Number(p.location_y ?? 0);
+    if (!wx && !wy) continue;
+
+    const pos = toCanvas(worldToPixel(wx, wy));
+    if (!isOnCanvas(pos, width, height)) continue;
+    playerPoints.push({
+      ...pos,
+      gid: playerToGuild?.[playerIdOf(p)] ?? null,
+      name: p.name ?? p.nickname ?? "Player",
+    });
+  }
+
+  const labelItems = [];
+  for (const group of clusterPoints(playerPoints, pinSize * CLUSTER_OVERLAP)) {
+    let box;
+    if (group.length === 1) {
+      const [p] = group;
+      box = {
+        left: Math.round(p.x - pinSize / 2),
+        top: Math.round(p.y - pinSize), // bottom-center (épingle)
+        w: pinSize,
+        h: pinSize,
+      };
+      composites.push({
+        input: await iconOf(ASSETS.player, pinSize, p.gid),
+        left: box.left,
+        top: box.top,
+      });
+    } else {
+      const c = centroid(group);
+      box = {
+        left: Math.round(c.x - pinSize / 2),
+        top: Math.round(c.y - pinSize / 2),
+        w: pinSize,
+        h: pinSize,
+      };
+      composites.push({
+        input: makeClusterBadgeSvg(group, pinSize, colorOf),
+        left: box.left,
+        top: box.top,
+      });
+    }
+    obstacles.push(box);
+
+    if (!options.names) continue;
+    if (highlight && !group.some((p) => p.gid === highlight)) continue;
+
+    const label = await makeLabelSvg(clusterLabel(group), {
+      fontSize: Math.round(options.labelSize * k),
+      paddingX: Math.round(12 * k),
+      paddingY: Math.round(10 * k),
+      radius: Math.round(8 * k),
+    });
+    // ancre: milieu du haut de l'icône
+    labelItems.push({ ...label, ax: box.left + box.w / 2, ay: box.top, box });
+  }
+
+  // Labels: au-dessus de l'icône si possible, sinon décalés avec un trait
+  const placed = layoutLabels(labelItems, obstacles, { gap: Math.round(8 * k) });
+  const leaders = makeLeaderLinesSvg(placed, {
+    width,
+    height,
+    strokeWidth: Math.max(1, Math.round(3 * k)),
+  });
+  if (leaders) composites.push({ input: leaders, left: 0, top: 0 });
+
+  for (const l of placed) {
+    composites.push({ input: l.buf, left: Math.round(l.left), top: Math.round(l.top) });
+  }
+
+  // Legend (bottom-right par défaut) ; seulement la guilde mise en avant
+  if (highlight && Array.isArray(legendGuilds)) {
+    legendGuilds = legendGuilds.filter((g) => g.id === highlight);
+  }
+  if (options.legend && Array.isArray(legendGuilds) && legendGuilds.length) {
+    const {
+      buf: legendSvg,
+      w: legendW,
+      h: legendH,
+    } = makeLegendSvg(
+      territories
+        ? legendGuilds.map((g) => ({ ...g, areaKm2: territories[g.id]?.areaKm2 ?? 0 }))
+        : legendGuilds,
+      LEGEND_SCALE * k,
+      options.legendTitle,
+    );
+
+    const margin = Math.round(24 * k);
+    const [vertical, horizontal] = options.legendPosition.split("-");
+
+    composites.push({
+      input: legendSvg,
+      left: horizontal === "left" ? margin : width - legendW - margin,
+      top: vertical === "top" ? margin : height - legendH - margin,
+    });
+  }
+
+  // Échelle + rose des vents: coin bas opposé à la légende
+  if (options.grid) {
+    const widget = makeScaleCompassSvg({ width, toCanvas, scale: LEGEND_SCALE * k });
+    const margin = Math.round(24 * k);
+    const legendLeft =
+      options.legend && options.legendPosition === "bottom-left" && legendGuilds?.length;
+    composites.push({
+      input: widget.buf,
+      left: legendLeft ? width - widget.w - margin : margin,
+      top: height - widget.h - margin,
+    });
+  }
+
+  if (caption) {
+    const label = await makeLabelSvg(caption, {
+      fontSize: Math.max(14, Math.round(options.labelSize * k * 1.5)),
+      paddingX: Math.round(12 * k) + 4,
+      paddingY: Math.round(10 * k) + 4,
+      radius: Math.round(8 * k) + 2,
+    });
+    const margin = Math.round(24 * k) + 4;
+    composites.push({
+      input: label.buf,
+      left: options.legend && options.legendPosition === "top-left"
+        ? width - label.w - margin
+        : margin,
+      top: margin,
+    });
+  }
+
+  return await encodeImage(base.composite(composites), options);
+}
+
+// ====== CALIBRATION DEBUG ======
+// Repères de calibration: position mesurée (vert), position calculée par la
+// calibration testée (rouge) et par la calibration actuelle (orange), sur une
+// vue cadrée sur les repères; numéros = ordre des points
+const CALIBRATION_DEBUG_SIZE = 2048;
+const CALIBRATION_DEBUG_MIN_SPAN = 600; // px source
+
+async function renderCalibrationDebug(samples, mapToPx, { current = null } = {}) {
+  const marks = samples.map((s, i) => ({
+    n: i + 1,
+    measured: { px: s.px, py: s.py },
+    fitted: mapToPixelWith(mapToPx, s.mapX, s.mapY),
+    current: current ? mapToPixelWith(current, s.mapX, s.mapY) : null,
+  }));
+
+  const all = marks.flatMap((m) => [m.measured, m.fitted, m.current].filter(Boolean));
+  const meta = await sourceMapMeta();
+  const minX = Math.min(...all.map((p) => p.px));
+  const maxX = Math.max(...all.map((p) => p.px));
+  const minY = Math.min(...all.map((p) => p.py));
+  const maxY = Math.max(...all.map((p) => p.py));
+  const span = Math.min(
+    Math.max(maxX - minX, maxY - minY, CALIBRATION_DEBUG_MIN_SPAN) * 1.2,
+    meta.width,
+    meta.height,
+  );
+  const clamp = (v, max) => Math.round(Math.min(Math.max(v, 0), max - span));
+  const view = {
+    left: clamp((minX + maxX) / 2 - span / 2, meta.width),
+    top: clamp((minY + maxY) / 2 - span / 2, meta.height),
+    width: Math.round(span),
+    height: Math.round(span),
+  };
+
+  const { base, width, height, toCanvas } = await loadBaseMap({
+    view,
+    size: CALIBRATION_DEBUG_SIZE,
+  });
+
+  const r = 14;
+  const shapes = marks.map((m) => {
+    const a = toCanvas(m.measured);
+    const b = toCanvas(m.fitted);
+    const c = m.current ? toCanvas(m.current) : null;
+    return [
+      c
+        ? `<line x1="${a.x}" y1="${a.y}" x2="${c.x}" y2="${c.y}" stroke="#FF9F1C" stroke-width="3" stroke-dasharray="8 6"/>` +
+          `<circle cx="${c.x}" cy="${c.y}" r="${r * 0.6}" fill="#FF9F1C" stroke="#000" stroke-width="2"/>`
+        : "",
+      `<line x1="${a.x}" y1="${a.y}" x2="${b.x}" y2="${b.y}" stroke="#FF3B30" stroke-width="3"/>`,
+      `<circle cx="${a.x}" cy="${a.y}" r="${r}" fill="none" stroke="#000" stroke-width="8"/>`,
+      `<circle cx="${a.x}" cy="${a.y}" r="${r}" fill="none" stroke="#34C759" stroke-width="4"/>`,
+      `<path d="M${b.x - r} ${b.y - r}L${b.x + r} ${b.y + r}M${b.x - r} ${b.y + r}L${b.x + r} ${b.y - r}" stroke="#FF3B30" stroke-width="4"/>`,
+      `<text x="${a.x + r + 6}" y="${a.y - r - 6}" font-family="Arial, sans-serif" font-size="28" font-weight="700" fill="#fff" stroke="#000" stroke-width="5" paint-order="stroke">#${m.n}</text>`,
+    ].join("");
+  });
+
+  const svg = Buffer.from(
+    `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">${shapes.join("")}</svg>`,
+  );
+  return await encodeImage(base.composite([{ input: svg, left: 0, top: 0 }]), {
+    format: "jpeg",
+    quality: 85,
+  });
+}
+
+export {
+  OUTPUT_SIZE,
+  RENDER_DEFAULTS,
+  ASSETS,
+  WORLD_TO_MAP,
+  MAP_TO_PX,
+  encodeImage,
+  imageExtension,
+  normalizePalId,
+  playerIdOf,
+  worldToMap,
+  mapToPixel,
+  worldToPixel,
+  pixelToMap,
+  mapDistanceMeters,
+  makeLabelSvg,
+  loadPoiOnce,
+  selectPoi,
+  loadBaseMap,
+  sourceMapMeta,
+  renderSnapshot,
+  renderCalibrationDebug,
+};